@@ -10,17 +10,17 @@ import TOML from '@iarna/toml';
 import { Registry, Context, createCancellationToken, ExecutionCancelledError } from '../src/registry.js';
 import { runCompose } from '../src/compose.js';
 import { registerDemoAxioms } from '../src/axioms.js';
-import { flowIf } from '../src/flow/if.js';
-import { flowForeach } from '../src/flow/foreach.js';
-import { flowBreak } from '../src/flow/break.js';
-import { flowContinue } from '../src/flow/continue.js';
-import { flowTry } from '../src/flow/try.js';
-import { flowThrow } from '../src/flow/throw.js';
-import { flowParallel } from '../src/flow/parallel.js';
+import { registerFlowPrimitives } from '../src/flow/register.js';
 import { loadModulesFromMap } from '../src/loaders.js';
 import { registerNodeCore, registerNodeResolverAxioms } from '../src/core/index.js';
 import { registerTooling } from '../src/tooling/index.js';
 import { registerHttpContracts } from '../src/http/index.js';
+import { createJsonlTraceSink } from '../src/compose/trace.js';
+import { DebugSession, createReplPauseHandler } from '../src/compose/debugger.js';
+import { createFsCheckpointStore } from '../src/compose/checkpoint.js';
+import { lintCompose, formatLintIssue } from '../src/compose/lint.js';
+import { parseDuration } from '../src/duration.js';
+import { KernelError, formatKernelError } from '../src/errors.js';
 
 const DEFAULT_CATALOGUE_URL = 'https://raw.githubusercontent.com/lcod-team/lcod-components/main/registry/components.std.jsonl';
 const DEFAULT_COMPONENTS_REPO = 'https://github.com/lcod-team/lcod-components';
@@ -42,12 +42,21 @@ function parseArgs(argv) {
     core: false,
     resolver: false,
     serve: false,
+    watch: false,
     project: null,
     config: null,
     output: null,
     cacheDir: null,
     sources: null,
-    timeout: null
+    timeout: null,
+    trace: null,
+    inspect: false,
+    breakpoints: [],
+    checkpointDir: null,
+    resume: false,
+    check: false,
+    list: null,
+    json: false
   };
   for (let i = 2; i < argv.length; i++) {
     const a = argv[i];
@@ -56,6 +65,7 @@ function parseArgs(argv) {
     else if (a === '--core') args.core = true;
     else if (a === '--resolver') args.resolver = true;
     else if (a === '--serve') args.serve = true;
+    else if (a === '--watch') args.watch = true;
     else if (a === '--state' || a === '-s') args.state = argv[++i];
     else if (a === '--modules' || a === '-m') args.modules = argv[++i];
     else if (a === '--bind' || a === '-b') args.bind = argv[++i];
@@ -65,25 +75,27 @@ function parseArgs(argv) {
     else if (a === '--cache-dir') args.cacheDir = argv[++i];
     else if (a === '--sources') args.sources = argv[++i];
     else if (a === '--timeout') args.timeout = argv[++i];
+    else if (a === '--checkpoint-dir') args.checkpointDir = argv[++i];
+    else if (a === '--resume') args.resume = true;
+    else if (a === '--check') args.check = true;
+    else if (a === '--json') args.json = true;
+    else if (a === '--list') {
+      const next = argv[i + 1];
+      args.list = next && !next.startsWith('--') ? argv[++i] : '';
+    }
+    else if (a === '--inspect') args.inspect = true;
+    else if (a === '--break') {
+      args.inspect = true;
+      args.breakpoints.push(argv[++i]);
+    }
+    else if (a === '--trace') {
+      const next = argv[i + 1];
+      args.trace = next && !next.startsWith('--') ? argv[++i] : '-';
+    }
   }
   return args;
 }
 
-function parseDuration(value) {
-  if (value == null) return null;
-  if (typeof value === 'number' && Number.isFinite(value)) return value;
-  if (typeof value !== 'string') return null;
-  const trimmed = value.trim();
-  if (!trimmed) return null;
-  if (/^\d+$/.test(trimmed)) return Number(trimmed);
-  const match = trimmed.match(/^(\d+)(ms|s|m|h)$/i);
-  if (!match) return null;
-  const amount = Number(match[1]);
-  const unit = match[2].toLowerCase();
-  const multipliers = { ms: 1, s: 1000, m: 60_000, h: 3_600_000 };
-  return amount * (multipliers[unit] || 1);
-}
-
 function readJson(p) { return JSON.parse(fs.readFileSync(p, 'utf8')); }
 
 function loadStateArg(raw) {
@@ -212,13 +224,39 @@ function canonicalizeId(raw, context) {
 }
 
 function registerFlowBlocks(reg) {
-  reg.register('lcod://flow/if@1', flowIf);
-  reg.register('lcod://flow/foreach@1', flowForeach);
-  reg.register('lcod://flow/parallel@1', flowParallel);
-  reg.register('lcod://flow/try@1', flowTry);
-  reg.register('lcod://flow/throw@1', flowThrow);
-  if (flowBreak) reg.register('lcod://flow/break@1', flowBreak);
-  if (flowContinue) reg.register('lcod://flow/continue@1', flowContinue);
+  registerFlowPrimitives(reg);
+}
+
+function printRegistryListing(reg, prefix, asJson) {
+  const components = reg.list({ prefix });
+  const bindings = reg.listBindings({ prefix });
+  const unbound = reg.listUnboundContracts({ prefix });
+  if (asJson) {
+    console.log(JSON.stringify({ components, bindings, unbound }, null, 2));
+    return;
+  }
+  const width = components.reduce((max, entry) => Math.max(max, entry.id.length), 0);
+  for (const entry of components) {
+    const details = [];
+    if (entry.boundContracts.length) details.push(`bound to ${entry.boundContracts.join(', ')}`);
+    if (entry.metadata?.inputs.length) details.push(`in: ${entry.metadata.inputs.join(', ')}`);
+    if (entry.outputs?.length) details.push(`out: ${entry.outputs.join(', ')}`);
+    if (entry.metadata?.slots.length) details.push(`slots: ${entry.metadata.slots.join(', ')}`);
+    console.log(`${entry.id.padEnd(width)}  ${entry.kind}${details.length ? `  (${details.join('; ')})` : ''}`);
+  }
+  console.log(`${components.length} component(s)`);
+  if (bindings.length) {
+    console.log('\nBindings:');
+    for (const binding of bindings) {
+      console.log(`  ${binding.contract} -> ${binding.implementation}${binding.registered ? '' : ' (not registered)'}`);
+    }
+  }
+  if (unbound.length) {
+    console.log('\nUnbound contracts:');
+    for (const entry of unbound) {
+      console.log(`  ${entry.contract} (${entry.reason}${entry.implementation ? `: ${entry.implementation}` : ''})`);
+    }
+  }
 }
 
 function isLcodIdentifier(value) {
@@ -262,6 +300,108 @@ async function stopHost(host) {
   }
 }
 
+const HTTP_HOST_ID = 'lcod://env/http_host@0.1.0';
+const WATCHED_FILES = new Set(['lcp.toml', 'compose.yaml', 'compose.yml', 'compose.json']);
+const IGNORED_DIRS = new Set(['node_modules', '.git', '.lcod']);
+const WATCH_DEBOUNCE_MS = 150;
+
+function findHttpHostSteps(steps, found = []) {
+  if (!Array.isArray(steps)) return found;
+  for (const step of steps) {
+    if (!step || typeof step !== 'object') continue;
+    if (step.call === HTTP_HOST_ID) found.push(step);
+    for (const children of [step.children, step.slots]) {
+      if (Array.isArray(children)) {
+        findHttpHostSteps(children, found);
+      } else if (children && typeof children === 'object') {
+        for (const branch of Object.values(children)) findHttpHostSteps(branch, found);
+      }
+    }
+  }
+  return found;
+}
+
+// Directories are watched one by one: the recursive fs.watch of Node 20 on Linux
+// stops reporting a file once an editor replaces it through a rename.
+function watchTree(root, onChange) {
+  const watchers = new Map();
+  const add = (dir) => {
+    if (watchers.has(dir)) return;
+    let watcher;
+    try {
+      watcher = fs.watch(dir, (_event, filename) => {
+        if (!filename) return;
+        const target = path.join(dir, String(filename));
+        if (WATCHED_FILES.has(path.basename(target))) onChange(target);
+        else if (!IGNORED_DIRS.has(path.basename(target))) scan(target);
+      });
+    } catch {
+      return;
+    }
+    watchers.set(dir, watcher);
+    watcher.on('error', () => {
+      watcher.close();
+      watchers.delete(dir);
+    });
+  };
+  const scan = (dir) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    add(dir);
+    for (const entry of entries) {
+      if (entry.isDirectory() && !IGNORED_DIRS.has(entry.name)) scan(path.join(dir, entry.name));
+    }
+  };
+  scan(root);
+  return {
+    close() {
+      for (const watcher of watchers.values()) watcher.close();
+      watchers.clear();
+    }
+  };
+}
+
+// Reloads the routes of the running hosts when a compose file or lcp.toml changes
+// under `root`. Host steps of the re-read compose are matched to hosts by order;
+// a host without a matching step re-runs the projects slot it started with.
+function watchHttpHosts(root, hosts, { composePath }) {
+  let timer = null;
+  const reload = async () => {
+    let hostSteps;
+    try {
+      hostSteps = findHttpHostSteps(loadComposeFile(composePath));
+    } catch (err) {
+      console.error(`Reload skipped, cannot read ${composePath}: ${err?.message || err}`);
+      return;
+    }
+    for (const [index, host] of hosts.entries()) {
+      if (typeof host.reload !== 'function') continue;
+      const outcome = await host.reload(hostSteps[index]?.slots?.projects ?? hostSteps[index]?.children?.projects);
+      if (outcome.reloaded) {
+        console.log(`Reloaded ${host.url}: ${outcome.routes.length} route(s)`);
+      } else {
+        console.error(`Reload of ${host.url} failed, keeping the previous routes: ${outcome.error?.message}`);
+      }
+    }
+  };
+  const watcher = watchTree(root, () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      reload().catch(err => console.error('Reload failed:', err?.message || err));
+    }, WATCH_DEBOUNCE_MS);
+  });
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    }
+  };
+}
+
 async function resolveComponentCompose(ctx, componentId) {
   let fallbackError = null;
   try {
@@ -788,8 +928,14 @@ async function main() {
   if (args.resolver && !args.core) {
     args.core = true;
   }
-  if (!args.compose) {
-    console.error('Usage: run-compose --compose path/to/compose.yaml [--demo] [--resolver] [--sources sources.json] [--state state.json]');
+  if (args.watch) args.serve = true;
+  if (!args.compose && args.list === null) {
+    console.error('Usage: run-compose --compose path/to/compose.yaml [--demo] [--resolver] [--sources sources.json] [--state state.json] [--trace [trace.jsonl]] [--inspect] [--break <path|id>] [--checkpoint-dir <dir> [--resume]] [--check] [--serve [--watch]] | --list [prefix] [--json]');
+    process.exit(2);
+  }
+  if (args.watch && isLcodIdentifier(args.compose)) {
+    // A resolved component compose is not a project file that edits could change.
+    console.error('--watch needs a local compose file, not a component id');
     process.exit(2);
   }
   const reg = new Registry();
@@ -819,15 +965,44 @@ async function main() {
     const bindings = JSON.parse(fs.readFileSync(bindingPath, 'utf8'));
     reg.setBindings(bindings);
   }
-  const ctx = new Context(reg, { cancellation });
+  if (args.list !== null) {
+    printRegistryListing(reg, args.list, args.json);
+    return;
+  }
+  const traceSink = args.trace
+    ? createJsonlTraceSink(args.trace === '-' ? '-' : path.resolve(process.cwd(), args.trace))
+    : null;
+  const debugPrompt = args.inspect ? createReplPauseHandler() : null;
+  const debugSession = debugPrompt
+    ? new DebugSession({
+        onPause: debugPrompt.onPause,
+        breakpoints: args.breakpoints,
+        stopOnEntry: args.breakpoints.length === 0
+      })
+    : null;
+  if (args.resume && !args.checkpointDir) {
+    console.error('--resume requires --checkpoint-dir');
+    process.exit(2);
+  }
+  const checkpointStore = args.checkpointDir
+    ? createFsCheckpointStore(path.resolve(process.cwd(), args.checkpointDir))
+    : null;
+  const ctx = new Context(reg, {
+    cancellation,
+    trace: traceSink,
+    debug: debugSession,
+    checkpoint: checkpointStore,
+    resume: args.resume
+  });
   let compose;
   let metadata = null;
+  let composePath = null;
   if (isLcodIdentifier(args.compose)) {
     const resolved = await resolveComponentCompose(ctx, args.compose);
     compose = resolved.steps;
     metadata = resolved.metadata ?? null;
   } else {
-    const composePath = path.resolve(process.cwd(), args.compose);
+    composePath = path.resolve(process.cwd(), args.compose);
     compose = loadComposeFile(composePath);
     metadata = await loadManifestMetadata(composePath);
   }
@@ -868,28 +1043,61 @@ async function main() {
   if (process.env.LCOD_DEBUG_RUN_COMPOSE_STATE) {
     console.error('[run-compose][sanitized-state]', JSON.stringify(sanitizedState));
   }
+  if (args.check) {
+    const inputs = [...new Set([...Object.keys(sanitizedState), ...(metadata?.inputs ?? [])])];
+    const report = await lintCompose(reg, compose, { inputs });
+    for (const issue of report.issues) {
+      console.log(formatLintIssue(issue));
+    }
+    const errors = report.issues.filter(issue => issue.severity === 'error').length;
+    console.log(`${errors} error(s), ${report.issues.length - errors} warning(s)`);
+    if (!report.ok) process.exitCode = 1;
+    if (traceSink) await traceSink.close();
+    if (debugPrompt) debugPrompt.close();
+    return;
+  }
   try {
     result = await runCompose(ctx, compose, sanitizedState);
+    if (ctx._checkpoint?.resumedFrom != null) {
+      const cancelledNote = ctx._checkpoint.resumedCancelled ? ' (the previous run was cancelled)' : '';
+      console.error(`Resumed from checkpoint after step ${ctx._checkpoint.resumedFrom}${cancelledNote}`);
+    }
   } catch (err) {
     if (err instanceof ExecutionCancelledError) {
+      if (traceSink) await traceSink.close();
       console.error('Execution cancelled');
       process.exit(130);
     }
+    if (err instanceof KernelError || Array.isArray(err?.composeStack)) {
+      console.error(formatKernelError(err));
+      process.exitCode = 1;
+      return;
+    }
     throw err;
+  } finally {
+    if (traceSink) await traceSink.close();
+    if (debugPrompt) debugPrompt.close();
   }
   const projectedResult = projectOutputs(result, metadata);
   console.log(JSON.stringify(projectedResult, null, 2));
 
   const hosts = collectHttpHosts(result);
-  if (!hosts.length) return;
-
-  if (args.serve) {
+  if (args.serve && hosts.length) {
     console.log(`Serving ${hosts.length} HTTP host(s). Press Ctrl+C to stop.`);
+    let watcher = null;
+    if (args.watch) {
+      const watchRoot = args.project
+        ? path.resolve(process.cwd(), args.project)
+        : path.dirname(composePath);
+      watcher = watchHttpHosts(watchRoot, hosts, { composePath });
+      console.log(`Watching ${watchRoot} for compose and lcp.toml changes.`);
+    }
     await new Promise((resolve) => {
       let shuttingDown = false;
       const shutdown = async () => {
         if (shuttingDown) return;
         shuttingDown = true;
+        if (watcher) watcher.close();
         await Promise.all(hosts.map(stopHost));
         resolve();
       };
@@ -899,6 +1107,8 @@ async function main() {
   } else {
     await Promise.all(hosts.map(stopHost));
   }
+  // Background work such as `flow/schedule@1` with `background: true` ends with the run.
+  cancellation.cancel();
 }
 
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
@@ -0,0 +1,193 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { stableStringify, createHashKey } from './tooling/std-helpers.js';
+import { logKernelInfo } from './tooling/logging.js';
+
+function resolveCacheCandidates(projectPath) {
+  const candidates = [];
+  if (projectPath) candidates.push(path.join(projectPath, '.lcod', 'cache'));
+  if (process.env.LCOD_CACHE_DIR) candidates.push(path.resolve(process.env.LCOD_CACHE_DIR));
+  try {
+    const homeCache = path.join(os.homedir(), '.cache', 'lcod');
+    candidates.push(homeCache);
+  } catch {
+    // homedir not available (non-POSIX env)
+  }
+  return candidates.filter(Boolean);
+}
+
+export async function ensureCacheDir(projectPath) {
+  const candidates = resolveCacheCandidates(projectPath);
+  for (const candidate of candidates) {
+    try {
+      await fs.mkdir(candidate, { recursive: true });
+      return candidate;
+    } catch (err) {
+      if (err && err.code === 'EEXIST') {
+        return candidate;
+      }
+    }
+  }
+  const fallback = path.join(projectPath || process.cwd(), '.lcod', 'cache');
+  await fs.mkdir(fallback, { recursive: true });
+  return fallback;
+}
+
+// Memoization stores used by flow/cache@1 and the step `cache:` annotation. A store
+// maps keys to `{ value, expiresAt }` entries (expiresAt in epoch ms, or null);
+// custom stores implement the same async get/set/delete and are added with
+// registerCacheStore().
+
+export class MemoryCacheStore {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    // Map order doubles as recency order.
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+// One JSON file per key; values must be JSON-serializable.
+export class DiskCacheStore {
+  constructor({ dir } = {}) {
+    this.dir = dir || null;
+  }
+
+  async _file(key) {
+    if (!this.dir) this.dir = path.join(await ensureCacheDir(), 'memo');
+    await fs.mkdir(this.dir, { recursive: true });
+    return path.join(this.dir, `${key.replace(/\//g, '_').replace(/\+/g, '-')}.json`);
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await fs.readFile(await this._file(key), 'utf8'));
+    } catch (err) {
+      if (err && err.code === 'ENOENT') return null;
+      // A corrupt entry is a miss; it is overwritten by the next set.
+      if (err instanceof SyntaxError) return null;
+      throw err;
+    }
+  }
+
+  async set(key, entry) {
+    const file = await this._file(key);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(entry));
+    await fs.rename(tmp, file);
+  }
+
+  async delete(key) {
+    await fs.rm(await this._file(key), { force: true });
+  }
+}
+
+// Stores are kept per registry so every context running on it shares them.
+function storesOf(registry) {
+  if (!registry._cacheStores) {
+    registry._cacheStores = new Map([
+      ['memory', { store: new MemoryCacheStore(), hits: 0, misses: 0, inflight: new Map() }],
+      ['disk', { store: new DiskCacheStore(), hits: 0, misses: 0, inflight: new Map() }]
+    ]);
+  }
+  return registry._cacheStores;
+}
+
+export function registerCacheStore(registry, name, store) {
+  storesOf(registry).set(name, { store, hits: 0, misses: 0, inflight: new Map() });
+  return registry;
+}
+
+export function getCacheStats(registry) {
+  const stats = {};
+  for (const [name, slot] of storesOf(registry)) {
+    stats[name] = { hits: slot.hits, misses: slot.misses };
+  }
+  return stats;
+}
+
+// Same derivation as the json/stable_stringify and hash/to_key helpers.
+export function cacheKey(namespace, key) {
+  return createHashKey(stableStringify({ namespace: namespace ?? null, key: key ?? null }));
+}
+
+function copyValue(value) {
+  try {
+    return structuredClone(value);
+  } catch {
+    return value;
+  }
+}
+
+// Returns the cached value for (namespace, key) or computes and stores it.
+// Concurrent misses on the same key share one computation. When it fails (the
+// computing caller may have been cancelled or run out of time), the waiters do
+// not inherit that error: they retry under their own context.
+export async function memoize(ctx, { store = 'memory', namespace, key, ttlMs = null }, compute) {
+  const slot = storesOf(ctx.registry).get(store);
+  if (!slot) throw new Error(`Unknown cache store "${store}"`);
+  const hashed = cacheKey(namespace, key);
+  const report = (hit) => logKernelInfo(ctx, 'cache.lookup', {
+    tags: { store },
+    data: { namespace, key: hashed, hit, hits: slot.hits, misses: slot.misses }
+  });
+  const lookup = async () => {
+    const entry = await slot.store.get(hashed);
+    if (entry && (entry.expiresAt == null || entry.expiresAt > Date.now())) return entry;
+    if (entry) await slot.store.delete(hashed);
+    return null;
+  };
+
+  const entry = await lookup();
+  if (entry) {
+    slot.hits += 1;
+    await report(true);
+    return { value: copyValue(entry.value), hit: true };
+  }
+  slot.misses += 1;
+  await report(false);
+
+  for (let shared = slot.inflight.get(hashed); shared; shared = slot.inflight.get(hashed)) {
+    try {
+      return { value: copyValue(await shared), hit: false };
+    } catch {
+      ctx.ensureNotCancelled();
+      const stored = await lookup();
+      if (stored) return { value: copyValue(stored.value), hit: false };
+    }
+  }
+
+  const pending = (async () => {
+    const value = await compute();
+    await slot.store.set(hashed, {
+      value: copyValue(value),
+      expiresAt: ttlMs == null ? null : Date.now() + ttlMs
+    });
+    return value;
+  })();
+  slot.inflight.set(hashed, pending);
+  // Registered before any waiter, so a failed computation is evicted by the time
+  // the waiters look again.
+  pending.then(() => slot.inflight.delete(hashed), () => slot.inflight.delete(hashed));
+  return { value: copyValue(await pending), hit: false };
+}
@@ -1,10 +1,142 @@
 import { normalizeCompose } from './compose/normalizer.js';
 import { runSteps } from './compose/runtime.js';
+import { composePlanKey, freezeSteps, precompileSteps } from './compose/plan.js';
+import { buildCheckpoint, composeCheckpointKey, isValidCheckpoint } from './compose/checkpoint.js';
+import { logKernelDebug, logKernelInfo, logKernelWarn } from './tooling/logging.js';
+
+const PLAN_CACHE_LIMIT = 256;
+const planCache = new Map();
+const planStats = { compiled: 0, hits: 0, savedMs: 0 };
+
+function elapsedMs(startTime) {
+  return Number(process.hrtime.bigint() - startTime) / 1e6;
+}
+
+async function compilePlan(key, compose) {
+  const startTime = process.hrtime.bigint();
+  const steps = freezeSteps(await normalizeCompose(compose));
+  const stepCount = precompileSteps(steps);
+  return Object.freeze({ key, steps, stepCount, compileMs: elapsedMs(startTime) });
+}
+
+// Plans are keyed by the content hash of the raw compose, so every run of the same
+// document (e.g. one per HTTP request) skips normalization and binding compilation.
+export async function loadComposePlan(ctx, compose) {
+  const startTime = process.hrtime.bigint();
+  const key = composePlanKey(compose);
+  const cached = planCache.get(key);
+  if (cached) {
+    planCache.delete(key);
+    planCache.set(key, cached);
+    const plan = await cached;
+    const savedMs = Math.max(0, plan.compileMs - elapsedMs(startTime));
+    planStats.hits += 1;
+    planStats.savedMs += savedMs;
+    await logKernelDebug(ctx, 'compose.plan', {
+      data: { cache: 'hit', key, savedMs, totalSavedMs: planStats.savedMs },
+      tags: { module: 'compose/plan' }
+    });
+    return plan;
+  }
+  const pending = compilePlan(key, compose);
+  planCache.set(key, pending);
+  if (planCache.size > PLAN_CACHE_LIMIT) {
+    planCache.delete(planCache.keys().next().value);
+  }
+  let plan;
+  try {
+    plan = await pending;
+  } catch (err) {
+    planCache.delete(key);
+    throw err;
+  }
+  planStats.compiled += 1;
+  await logKernelDebug(ctx, 'compose.plan', {
+    data: { cache: 'miss', key, steps: plan.stepCount, compileMs: plan.compileMs },
+    tags: { module: 'compose/plan' }
+  });
+  return plan;
+}
+
+export function getComposePlanStats() {
+  return { entries: planCache.size, ...planStats };
+}
+
+export function clearComposePlanCache() {
+  planCache.clear();
+  planStats.compiled = 0;
+  planStats.hits = 0;
+  planStats.savedMs = 0;
+}
 
 export async function runCompose(ctx, compose, initialState = {}) {
   const seed = (initialState && typeof initialState === 'object' && !Array.isArray(initialState))
     ? { ...initialState }
     : {};
-  const normalized = await normalizeCompose(compose || []);
-  return runSteps(ctx, normalized, seed, {});
+  const { steps: normalized } = await loadComposePlan(ctx, compose || []);
+  const store = ctx?._checkpoint?.store;
+  if (!store) {
+    return runSteps(ctx, normalized, seed, {});
+  }
+  return runWithCheckpoints(ctx, store, normalized, seed);
+}
+
+async function runWithCheckpoints(ctx, store, steps, seed) {
+  const key = composeCheckpointKey(steps, seed);
+  let state = seed;
+  let startIndex = 0;
+  if (ctx._checkpoint.resume) {
+    const snapshot = await store.load(key);
+    if (isValidCheckpoint(snapshot, key)) {
+      state = snapshot.state;
+      startIndex = snapshot.stepIndex + 1;
+      ctx._checkpoint.resumedFrom = snapshot.stepIndex;
+      ctx._checkpoint.resumedCancelled = Boolean(snapshot.cancellation?.cancelled);
+      await logKernelInfo(ctx, 'compose.checkpoint.resume', {
+        data: { stepIndex: snapshot.stepIndex, savedAt: snapshot.savedAt },
+        tags: { module: 'compose/checkpoint' }
+      });
+      if (ctx._checkpoint.resumedCancelled) {
+        // The step that was interrupted may have partly run.
+        await logKernelWarn(ctx, 'Resuming a compose run that was cancelled', {
+          data: { stepIndex: snapshot.stepIndex, savedAt: snapshot.savedAt },
+          tags: { module: 'compose/checkpoint' }
+        });
+      }
+    } else if (snapshot) {
+      await logKernelWarn(ctx, 'Ignoring incompatible compose checkpoint', {
+        data: { key },
+        tags: { module: 'compose/checkpoint' }
+      });
+    }
+  }
+
+  let last = null;
+  const save = async (snapshot) => {
+    try {
+      await store.save(key, snapshot);
+    } catch (err) {
+      await logKernelWarn(ctx, 'Failed to save compose checkpoint', {
+        data: { stepIndex: snapshot.stepIndex, error: err?.message },
+        tags: { module: 'compose/checkpoint' }
+      });
+    }
+  };
+  const afterStep = async (index, cur) => {
+    last = buildCheckpoint(key, index, cur, ctx.isCancelled());
+    await save(last);
+  };
+
+  let result;
+  try {
+    result = await runSteps(ctx, steps, state, {}, { startIndex, afterStep });
+  } catch (err) {
+    // A run stopped by cancellation is recorded as such for the next --resume.
+    if (last && ctx.isCancelled() && !last.cancellation.cancelled) {
+      await save({ ...last, cancellation: { cancelled: true } });
+    }
+    throw err;
+  }
+  await store.clear(key);
+  return result;
 }
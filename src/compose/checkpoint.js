@@ -0,0 +1,84 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+
+export const CHECKPOINT_VERSION = 1;
+
+// The initial state is part of the key: a resume with different inputs starts over
+// instead of restoring the state of another run.
+export function composeCheckpointKey(steps, initialState = {}) {
+  const payload = JSON.stringify({ steps: steps ?? [], state: initialState ?? {} });
+  return createHash('sha256').update(payload, 'utf8').digest('hex');
+}
+
+function cloneState(state) {
+  // Only JSON data survives a checkpoint; stream handles or servers cannot be resumed.
+  return JSON.parse(JSON.stringify(state ?? {}));
+}
+
+export function buildCheckpoint(key, stepIndex, state, cancelled) {
+  return {
+    version: CHECKPOINT_VERSION,
+    key,
+    stepIndex,
+    state: cloneState(state),
+    cancellation: { cancelled: Boolean(cancelled) },
+    savedAt: new Date().toISOString()
+  };
+}
+
+export function isValidCheckpoint(snapshot, key) {
+  return Boolean(
+    snapshot &&
+    typeof snapshot === 'object' &&
+    snapshot.version === CHECKPOINT_VERSION &&
+    snapshot.key === key &&
+    Number.isInteger(snapshot.stepIndex) &&
+    snapshot.state && typeof snapshot.state === 'object' && !Array.isArray(snapshot.state)
+  );
+}
+
+export function createMemoryCheckpointStore() {
+  const entries = new Map();
+  return {
+    async load(key) {
+      const snapshot = entries.get(key);
+      return snapshot ? cloneState(snapshot) : null;
+    },
+    async save(key, snapshot) {
+      entries.set(key, cloneState(snapshot));
+    },
+    async clear(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+export function createFsCheckpointStore(dir) {
+  if (typeof dir !== 'string' || !dir) {
+    throw new Error('Checkpoint directory is required');
+  }
+  const root = path.resolve(dir);
+  const fileFor = (key) => path.join(root, `${key}.json`);
+  return {
+    dir: root,
+    async load(key) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+      } catch (err) {
+        if (err && err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async save(key, snapshot) {
+      await fs.mkdir(root, { recursive: true });
+      const target = fileFor(key);
+      const tmp = `${target}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(snapshot, null, 2), 'utf8');
+      await fs.rename(tmp, target);
+    },
+    async clear(key) {
+      await fs.rm(fileFor(key), { force: true });
+    }
+  };
+}
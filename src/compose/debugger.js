@@ -0,0 +1,241 @@
+import readline from 'node:readline';
+import { toTraceValue } from './trace.js';
+
+const RESUME_COMMANDS = new Set(['continue', 'step', 'next', 'out']);
+
+function stepDepth(path) {
+  return path.filter(segment => typeof segment === 'number').length;
+}
+
+function formatPath(path) {
+  return Array.isArray(path) ? path.join('.') : String(path);
+}
+
+function normalizeBreakpoint(spec) {
+  if (typeof spec === 'string') {
+    const trimmed = spec.trim();
+    if (!trimmed) throw new Error('Breakpoint must not be empty');
+    return trimmed.startsWith('lcod://') ? { call: trimmed } : { path: trimmed };
+  }
+  if (typeof spec === 'function') {
+    return { when: spec };
+  }
+  if (Array.isArray(spec)) {
+    return { path: formatPath(spec) };
+  }
+  if (!spec || typeof spec !== 'object') {
+    throw new Error('Breakpoint must be a path, a component id, a predicate or an object');
+  }
+  const breakpoint = {};
+  if (spec.path != null) breakpoint.path = formatPath(spec.path);
+  if (typeof spec.call === 'string' && spec.call) breakpoint.call = spec.call;
+  if (typeof spec.when === 'function') breakpoint.when = spec.when;
+  if (!breakpoint.path && !breakpoint.call && !breakpoint.when) {
+    throw new Error('Breakpoint requires `path`, `call` or `when`');
+  }
+  return breakpoint;
+}
+
+function describeBreakpoint(id, breakpoint) {
+  const out = { id };
+  if (breakpoint.path) out.path = breakpoint.path;
+  if (breakpoint.call) out.call = breakpoint.call;
+  if (breakpoint.when) out.when = breakpoint.when.name || 'predicate';
+  return out;
+}
+
+function readPath(root, expression) {
+  const parts = expression.split('.').filter(Boolean);
+  let current = root;
+  for (const part of parts) {
+    if (current == null) return undefined;
+    current = current[part];
+  }
+  return current;
+}
+
+export class DebugSession {
+  constructor(options = {}) {
+    this.breakpoints = new Map();
+    this.onPause = typeof options.onPause === 'function' ? options.onPause : null;
+    this._nextId = 1;
+    this._mode = options.stopOnEntry ? 'step' : 'run';
+    this._resumeDepth = null;
+    for (const spec of options.breakpoints || []) {
+      this.addBreakpoint(spec);
+    }
+  }
+
+  addBreakpoint(spec) {
+    const id = this._nextId++;
+    this.breakpoints.set(id, normalizeBreakpoint(spec));
+    return id;
+  }
+
+  removeBreakpoint(id) {
+    return this.breakpoints.delete(Number(id));
+  }
+
+  listBreakpoints() {
+    return [...this.breakpoints.entries()].map(([id, bp]) => describeBreakpoint(id, bp));
+  }
+
+  pause() {
+    this._mode = 'step';
+  }
+
+  detach() {
+    this.breakpoints.clear();
+    this._mode = 'run';
+  }
+
+  _matchBreakpoint(frame) {
+    const pathText = formatPath(frame.path);
+    for (const [id, bp] of this.breakpoints) {
+      if (bp.path && bp.path !== pathText) continue;
+      if (bp.call && bp.call !== frame.call) continue;
+      if (bp.when) {
+        let matched = false;
+        try {
+          matched = Boolean(bp.when(frame));
+        } catch (_) {
+          matched = false;
+        }
+        if (!matched) continue;
+      }
+      return id;
+    }
+    return null;
+  }
+
+  _pauseReason(frame) {
+    const depth = stepDepth(frame.path);
+    if (this._mode === 'step') return { reason: 'step' };
+    if (this._mode === 'next' && depth <= this._resumeDepth) return { reason: 'step' };
+    if (this._mode === 'out' && depth < this._resumeDepth) return { reason: 'step' };
+    const breakpointId = this._matchBreakpoint(frame);
+    if (breakpointId != null) return { reason: 'breakpoint', breakpointId };
+    return null;
+  }
+
+  // Called by runSteps before every step; resolves once execution may resume.
+  async beforeStep(frame) {
+    if (!this.onPause) return;
+    const pause = this._pauseReason(frame);
+    if (!pause) return;
+    const command = await this.onPause({ ...frame, ...pause, session: this });
+    const resolved = RESUME_COMMANDS.has(command) ? command : 'continue';
+    this._mode = resolved === 'continue' ? 'run' : resolved;
+    this._resumeDepth = stepDepth(frame.path);
+  }
+}
+
+const REPL_HELP = [
+  'Commands:',
+  '  c, continue        resume until the next breakpoint',
+  '  n, next            step over (stay at this nesting level)',
+  '  s, step            step into slots',
+  '  o, out             run until the enclosing step completes',
+  '  p, print [expr]    print state, or $.path / $slot.path / input',
+  '  where              show the step path and component id',
+  '  show               show the step definition',
+  '  b, break <target>  add a breakpoint (step path like 1.body.0 or lcod:// id)',
+  '  d, delete <id>     remove a breakpoint',
+  '  bl, breakpoints    list breakpoints',
+  '  q, quit            cancel the execution'
+].join('\n');
+
+function evaluatePrint(frame, expression) {
+  if (!expression || expression === '$' || expression === 'state') return frame.state;
+  if (expression === 'input') return frame.input;
+  if (expression === 'slot' || expression === '$slot') return frame.slot;
+  if (expression.startsWith('$slot.')) return readPath(frame.slot || {}, expression.slice('$slot.'.length));
+  if (expression.startsWith('$.')) return readPath(frame.state || {}, expression.slice(2));
+  if (expression.startsWith('input.')) return readPath(frame.input || {}, expression.slice('input.'.length));
+  throw new Error(`Cannot evaluate "${expression}" (use $.path, $slot.path or input.path)`);
+}
+
+// Line-oriented debugger prompt. Lines are queued so piped input is never lost
+// between pauses; end of input detaches the debugger and lets the run finish.
+export function createReplPauseHandler(options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stderr;
+  const rl = readline.createInterface({ input, terminal: false });
+  const lines = [];
+  let waiting = null;
+  let ended = false;
+  rl.on('line', (line) => {
+    if (waiting) {
+      const resolve = waiting;
+      waiting = null;
+      resolve(line);
+    } else {
+      lines.push(line);
+    }
+  });
+  rl.on('close', () => {
+    ended = true;
+    if (waiting) {
+      const resolve = waiting;
+      waiting = null;
+      resolve(null);
+    }
+  });
+  const nextLine = () => {
+    if (lines.length) return Promise.resolve(lines.shift());
+    if (ended) return Promise.resolve(null);
+    return new Promise(resolve => { waiting = resolve; });
+  };
+  const print = (value) => {
+    const text = typeof value === 'string' ? value : JSON.stringify(toTraceValue(value), null, 2);
+    output.write(`${text ?? 'undefined'}\n`);
+  };
+
+  const onPause = async (frame) => {
+    const label = frame.reason === 'breakpoint' ? `breakpoint #${frame.breakpointId}` : 'paused';
+    print(`[${label}] ${formatPath(frame.path)} ${frame.call}`);
+    while (true) {
+      output.write('(lcod-debug) ');
+      const line = await nextLine();
+      if (line == null) {
+        frame.session.detach();
+        return 'continue';
+      }
+      const [command = '', ...rest] = line.trim().split(/\s+/);
+      const arg = rest.join(' ');
+      try {
+        switch (command) {
+          case '':
+            break;
+          case 'c': case 'continue': return 'continue';
+          case 'n': case 'next': return 'next';
+          case 's': case 'step': return 'step';
+          case 'o': case 'out': return 'out';
+          case 'p': case 'print': print(evaluatePrint(frame, arg)); break;
+          case 'where': print(`${formatPath(frame.path)} ${frame.call}`); break;
+          case 'show': print(frame.step); break;
+          case 'b': case 'break': print(`breakpoint #${frame.session.addBreakpoint(arg)}`); break;
+          case 'd': case 'delete':
+            print(frame.session.removeBreakpoint(arg) ? `deleted #${arg}` : `no breakpoint #${arg}`);
+            break;
+          case 'bl': case 'breakpoints': print(frame.session.listBreakpoints()); break;
+          case 'q': case 'quit':
+            frame.session.detach();
+            frame.cancel?.();
+            return 'continue';
+          case 'h': case 'help': print(REPL_HELP); break;
+          default: print(`Unknown command "${command}" (type help)`);
+        }
+      } catch (err) {
+        print(`error: ${err?.message || err}`);
+      }
+    }
+  };
+
+  return {
+    onPause,
+    close() {
+      rl.close();
+    }
+  };
+}
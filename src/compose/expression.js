@@ -0,0 +1,419 @@
+import { isDeepStrictEqual } from 'node:util';
+import { KernelError } from '../errors.js';
+
+// Small, side-effect free expression language used by compose bindings:
+//   "${ $.items[0].name ?? 'none' }"   "${ $.count > 0 }"   "${ `Hello ${$slot.item.name}!` }"
+// Only a string that is entirely wrapped in `${ ... }` is evaluated, so
+// script sources or other text containing `${` stay untouched.
+
+const MAX_CACHE_ENTRIES = 1000;
+const FORBIDDEN_MEMBERS = new Set(['__proto__', 'prototype', 'constructor']);
+
+export class ExpressionError extends KernelError {
+  constructor(message, { expression, position } = {}) {
+    super(message, { code: 'expression_error' });
+    this.name = 'ExpressionError';
+    if (expression !== undefined) this.expression = expression;
+    if (position !== undefined) this.position = position;
+  }
+}
+
+function closesAtEnd(text) {
+  // The `{` opened by the leading `${` must be closed by the final character,
+  // so literals such as "${a}-${b}" are not mistaken for expressions.
+  let depth = 0;
+  let quote = null;
+  for (let i = 1; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\') i += 1;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === '\'' || ch === '"') quote = ch;
+    else if (ch === '{') depth += 1;
+    else if (ch === '}') {
+      depth -= 1;
+      if (depth === 0) return i === text.length - 1;
+    }
+  }
+  return false;
+}
+
+export function isExpression(value) {
+  if (typeof value !== 'string') return false;
+  const trimmed = value.trim();
+  return trimmed.length > 3 && trimmed.startsWith('${') && trimmed.endsWith('}') && closesAtEnd(trimmed);
+}
+
+// `$${ ... }` is the escape for a binding that must stay a literal `${ ... }`
+// string (shell-style `${HOME}` placeholders, for instance).
+export function unescapeExpression(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (!trimmed.startsWith('$${') || !isExpression(trimmed.slice(1))) return null;
+  return value.replace('$${', '${');
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+class Parser {
+  constructor(source, offset) {
+    this.source = source;
+    this.offset = offset;
+    this.pos = 0;
+  }
+
+  fail(message, position = this.pos) {
+    const at = this.offset + position;
+    throw new ExpressionError(`${message} at position ${at}`, { position: at });
+  }
+
+  skipWhitespace() {
+    while (this.pos < this.source.length && /\s/.test(this.source[this.pos])) this.pos += 1;
+  }
+
+  peek(token) {
+    this.skipWhitespace();
+    return this.source.startsWith(token, this.pos);
+  }
+
+  eat(token) {
+    if (!this.peek(token)) return false;
+    this.pos += token.length;
+    return true;
+  }
+
+  expect(token) {
+    if (!this.eat(token)) {
+      const found = this.pos < this.source.length ? `"${this.source[this.pos]}"` : 'end of expression';
+      this.fail(`Expected "${token}" but found ${found}`);
+    }
+  }
+
+  parseProgram() {
+    const node = this.parseConditional();
+    this.skipWhitespace();
+    if (this.pos < this.source.length) this.fail(`Unexpected "${this.source[this.pos]}"`);
+    return node;
+  }
+
+  parseConditional() {
+    const test = this.parseBinary(0);
+    if (!this.eat('?')) return test;
+    const consequent = this.parseConditional();
+    this.expect(':');
+    const alternate = this.parseConditional();
+    return { type: 'conditional', test, consequent, alternate };
+  }
+
+  parseBinary(level) {
+    const levels = [
+      ['??'],
+      ['||'],
+      ['&&'],
+      ['===', '!==', '==', '!='],
+      ['<=', '>=', '<', '>'],
+      ['+', '-'],
+      ['*', '/', '%']
+    ];
+    if (level >= levels.length) return this.parseUnary();
+    let left = this.parseBinary(level + 1);
+    while (true) {
+      this.skipWhitespace();
+      const operator = levels[level].find(op => this.source.startsWith(op, this.pos));
+      if (!operator) return left;
+      this.pos += operator.length;
+      const right = this.parseBinary(level + 1);
+      left = { type: 'binary', operator: operator.replace(/^(===|!==)$/, m => m.slice(0, 2)), left, right };
+    }
+  }
+
+  parseUnary() {
+    if (this.eat('!')) return { type: 'unary', operator: '!', argument: this.parseUnary() };
+    if (this.peek('-') && !/\d/.test(this.source[this.pos + 1] ?? '')) {
+      this.pos += 1;
+      return { type: 'unary', operator: '-', argument: this.parseUnary() };
+    }
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary();
+    while (true) {
+      if (this.eat('.')) {
+        const name = this.readIdentifier() ?? this.readIndex();
+        if (name === null) this.fail('Expected property name after "."');
+        node = { type: 'member', object: node, property: { type: 'literal', value: name } };
+      } else if (this.eat('[')) {
+        const property = this.parseConditional();
+        this.expect(']');
+        node = { type: 'member', object: node, property };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  readIndex() {
+    const match = /^\d+/.exec(this.source.slice(this.pos));
+    if (!match) return null;
+    this.pos += match[0].length;
+    return Number(match[0]);
+  }
+
+  readIdentifier() {
+    this.skipWhitespace();
+    const match = /^[A-Za-z_$][\w$]*/.exec(this.source.slice(this.pos));
+    if (!match) return null;
+    this.pos += match[0].length;
+    return match[0];
+  }
+
+  parsePrimary() {
+    this.skipWhitespace();
+    const ch = this.source[this.pos];
+    if (ch === undefined) this.fail('Unexpected end of expression');
+    if (ch === '(') {
+      this.pos += 1;
+      const node = this.parseConditional();
+      this.expect(')');
+      return node;
+    }
+    if (ch === '[') {
+      this.pos += 1;
+      const items = [];
+      if (!this.eat(']')) {
+        do {
+          items.push(this.parseConditional());
+        } while (this.eat(','));
+        this.expect(']');
+      }
+      return { type: 'array', items };
+    }
+    if (ch === '\'' || ch === '"') return { type: 'literal', value: this.readString(ch) };
+    if (ch === '`') return this.readTemplate();
+    const number = /^-?(\d+(\.\d+)?([eE][+-]?\d+)?)/.exec(this.source.slice(this.pos));
+    if (number) {
+      this.pos += number[0].length;
+      return { type: 'literal', value: Number(number[0]) };
+    }
+    const start = this.pos;
+    const name = this.readIdentifier();
+    if (name === 'true') return { type: 'literal', value: true };
+    if (name === 'false') return { type: 'literal', value: false };
+    if (name === 'null') return { type: 'literal', value: null };
+    if (name === '$') return { type: 'root', name: 'state' };
+    if (name === '$slot') return { type: 'root', name: 'slot' };
+    if (name) this.fail(`Unknown identifier "${name}" (use $.path or $slot.path)`, start);
+    return this.fail(`Unexpected "${ch}"`);
+  }
+
+  readString(quote) {
+    const start = this.pos;
+    this.pos += 1;
+    let out = '';
+    while (this.pos < this.source.length) {
+      const ch = this.source[this.pos];
+      if (ch === '\\') {
+        const next = this.source[this.pos + 1];
+        out += next === 'n' ? '\n' : next === 't' ? '\t' : (next ?? '');
+        this.pos += 2;
+        continue;
+      }
+      this.pos += 1;
+      if (ch === quote) return out;
+      out += ch;
+    }
+    return this.fail('Unterminated string', start);
+  }
+
+  readTemplate() {
+    const start = this.pos;
+    this.pos += 1;
+    const parts = [];
+    let text = '';
+    while (this.pos < this.source.length) {
+      const ch = this.source[this.pos];
+      if (ch === '\\') {
+        text += this.source[this.pos + 1] ?? '';
+        this.pos += 2;
+        continue;
+      }
+      if (ch === '`') {
+        this.pos += 1;
+        if (text) parts.push({ type: 'literal', value: text });
+        return { type: 'template', parts };
+      }
+      if (ch === '$' && this.source[this.pos + 1] === '{') {
+        if (text) parts.push({ type: 'literal', value: text });
+        text = '';
+        this.pos += 2;
+        parts.push(this.parseConditional());
+        this.expect('}');
+        continue;
+      }
+      text += ch;
+      this.pos += 1;
+    }
+    return this.fail('Unterminated template', start);
+  }
+}
+
+function readMember(object, key) {
+  if (object === null || object === undefined) return undefined;
+  if (typeof key !== 'string' && typeof key !== 'number') {
+    throw new ExpressionError(`Property key must be a string or number, got ${describe(key)}`);
+  }
+  const name = String(key);
+  if (FORBIDDEN_MEMBERS.has(name)) {
+    throw new ExpressionError(`Access to "${name}" is not allowed`);
+  }
+  if ((Array.isArray(object) || typeof object === 'string') && name === 'length') {
+    return object.length;
+  }
+  if (typeof object === 'object' || typeof object === 'string') {
+    return Object.prototype.hasOwnProperty.call(object, name) ? object[name] : undefined;
+  }
+  return undefined;
+}
+
+function expectNumbers(operator, left, right) {
+  if (typeof left !== 'number' || typeof right !== 'number') {
+    throw new ExpressionError(`Operator "${operator}" expects numbers, got ${describe(left)} and ${describe(right)}`);
+  }
+}
+
+function applyBinary(operator, left, right) {
+  switch (operator) {
+    case '==': return isDeepStrictEqual(left, right);
+    case '!=': return !isDeepStrictEqual(left, right);
+    case '+':
+      if (typeof left === 'string' || typeof right === 'string') {
+        return `${stringify(left)}${stringify(right)}`;
+      }
+      expectNumbers(operator, left, right);
+      return left + right;
+    case '-': expectNumbers(operator, left, right); return left - right;
+    case '*': expectNumbers(operator, left, right); return left * right;
+    case '/': expectNumbers(operator, left, right); return left / right;
+    case '%': expectNumbers(operator, left, right); return left % right;
+    case '<': case '<=': case '>': case '>=': {
+      const comparable = (typeof left === 'number' && typeof right === 'number') ||
+        (typeof left === 'string' && typeof right === 'string');
+      if (!comparable) {
+        throw new ExpressionError(`Operator "${operator}" expects two numbers or two strings, got ${describe(left)} and ${describe(right)}`);
+      }
+      if (operator === '<') return left < right;
+      if (operator === '<=') return left <= right;
+      if (operator === '>') return left > right;
+      return left >= right;
+    }
+    default:
+      throw new ExpressionError(`Unsupported operator "${operator}"`);
+  }
+}
+
+function stringify(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function compileNode(node) {
+  switch (node.type) {
+    case 'literal': {
+      const { value } = node;
+      return () => value;
+    }
+    case 'root':
+      return node.name === 'slot' ? scope => scope.slot ?? {} : scope => scope.state ?? {};
+    case 'array': {
+      const items = node.items.map(compileNode);
+      return scope => items.map(item => item(scope));
+    }
+    case 'template': {
+      const parts = node.parts.map(compileNode);
+      return scope => parts.map(part => stringify(part(scope))).join('');
+    }
+    case 'member': {
+      const object = compileNode(node.object);
+      const property = compileNode(node.property);
+      return scope => readMember(object(scope), property(scope));
+    }
+    case 'unary': {
+      const argument = compileNode(node.argument);
+      if (node.operator === '!') return scope => !argument(scope);
+      return (scope) => {
+        const value = argument(scope);
+        if (typeof value !== 'number') {
+          throw new ExpressionError(`Operator "-" expects a number, got ${describe(value)}`);
+        }
+        return -value;
+      };
+    }
+    case 'conditional': {
+      const test = compileNode(node.test);
+      const consequent = compileNode(node.consequent);
+      const alternate = compileNode(node.alternate);
+      return scope => (test(scope) ? consequent(scope) : alternate(scope));
+    }
+    case 'binary': {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      if (node.operator === '??') return scope => left(scope) ?? right(scope);
+      if (node.operator === '||') return scope => left(scope) || right(scope);
+      if (node.operator === '&&') return scope => left(scope) && right(scope);
+      return scope => applyBinary(node.operator, left(scope), right(scope));
+    }
+    default:
+      throw new ExpressionError(`Unknown expression node ${node.type}`);
+  }
+}
+
+const compiled = new Map();
+
+export function compileExpression(source) {
+  const cached = compiled.get(source);
+  if (cached) return cached;
+  if (!isExpression(source)) {
+    throw new ExpressionError(`Expression must be wrapped in \${ ... }: ${source}`, { expression: source });
+  }
+  const trimmed = source.trim();
+  const leading = source.indexOf('${') + 2;
+  const body = trimmed.slice(2, -1);
+  let evaluate;
+  try {
+    evaluate = compileNode(new Parser(body, leading).parseProgram());
+  } catch (err) {
+    if (err instanceof ExpressionError) {
+      err.expression = source;
+      err.message = `${err.message} in "${source}"`;
+    }
+    throw err;
+  }
+  const run = (scope) => {
+    try {
+      return evaluate(scope);
+    } catch (err) {
+      if (err instanceof ExpressionError && err.expression === undefined) {
+        err.expression = source;
+        err.message = `${err.message} in "${source}"`;
+      }
+      throw err;
+    }
+  };
+  if (compiled.size >= MAX_CACHE_ENTRIES) {
+    compiled.delete(compiled.keys().next().value);
+  }
+  compiled.set(source, run);
+  return run;
+}
+
+export function evaluateExpression(source, scope = {}) {
+  return compileExpression(source)(scope);
+}
@@ -0,0 +1,202 @@
+import { normalizeCompose } from './normalizer.js';
+import { SPREAD_KEY, OPTIONAL_FLAG, normalizeSlotMap } from './plan.js';
+import { compileExpression, isExpression } from './expression.js';
+
+const REGISTRY_SCOPE_ID = 'lcod://tooling/registry/scope@1';
+const SLOT_ALIASES = { children: 'body', body: 'children' };
+// Any step may carry a `compensate` slot (run by the enclosing flow/try on failure).
+const UNIVERSAL_SLOTS = new Set(['compensate']);
+// `$.name` reads inside `${ ... }` expressions; bracket access is not tracked.
+const EXPRESSION_STATE_READ = /(?<![\w$])\$\.([A-Za-z_$][\w$]*)/g;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStepDefinition(value) {
+  return Boolean(value && typeof value === 'object' && typeof value.call === 'string');
+}
+
+function listKeys(section) {
+  return isPlainObject(section) ? Object.keys(section).filter(Boolean) : [];
+}
+
+function createLookup(registry, parent = null, scopeInput = null) {
+  const components = new Map();
+  const bindings = {};
+  if (scopeInput) {
+    for (const entry of Array.isArray(scopeInput.components) ? scopeInput.components : []) {
+      if (!isPlainObject(entry) || typeof entry.id !== 'string' || !entry.id.trim()) continue;
+      components.set(entry.id.trim(), {
+        metadata: {
+          inputs: listKeys(entry.inputs),
+          outputs: listKeys(entry.outputs),
+          slots: listKeys(entry.slots)
+        }
+      });
+    }
+    if (isPlainObject(scopeInput.bindings)) {
+      for (const [contractId, implId] of Object.entries(scopeInput.bindings)) {
+        if (typeof implId === 'string') bindings[contractId] = implId;
+      }
+    }
+  }
+  const lookup = {
+    get(id) {
+      if (components.has(id)) return components.get(id);
+      return parent ? parent.get(id) : registry.get(id);
+    },
+    binding(id) {
+      if (Object.prototype.hasOwnProperty.call(bindings, id)) return bindings[id];
+      return parent ? parent.binding(id) : (registry.bindings || {})[id];
+    }
+  };
+  return lookup;
+}
+
+// Mirrors Context.call: direct entries first, then contract bindings.
+function resolveEntry(lookup, id) {
+  const direct = lookup.get(id);
+  if (direct) return { entry: direct };
+  if (id.startsWith('lcod://contract/')) {
+    const implId = lookup.binding(id);
+    if (!implId) return { error: `No binding for contract ${id}` };
+    const impl = lookup.get(implId);
+    if (!impl) return { error: `Implementation ${implId} bound to ${id} is not registered` };
+    return { entry: impl };
+  }
+  return { error: `Component ${id} is not registered` };
+}
+
+function declaredList(list) {
+  return Array.isArray(list) && list.length > 0 ? list : null;
+}
+
+function slotDeclared(slots, name) {
+  return slots.includes(name) || (SLOT_ALIASES[name] && slots.includes(SLOT_ALIASES[name]));
+}
+
+function collectStateReads(value, visit) {
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      if (!isStepDefinition(item)) collectStateReads(item, visit);
+    }
+    return;
+  }
+  if (isPlainObject(value)) {
+    // Optional bindings tolerate missing state; nested step definitions are data.
+    if (value[OPTIONAL_FLAG] || isStepDefinition(value)) return;
+    for (const [key, nested] of Object.entries(value)) {
+      if (key === 'bindings') continue;
+      collectStateReads(nested, visit);
+    }
+    return;
+  }
+  if (typeof value !== 'string') return;
+  if (isExpression(value)) {
+    visit.expression(value);
+    for (const match of value.matchAll(EXPRESSION_STATE_READ)) {
+      visit.read(match[1], value);
+    }
+    return;
+  }
+  if (value.startsWith('$.')) {
+    const key = value.slice(2).split(/[.[]/)[0];
+    if (key) visit.read(key, value);
+  }
+}
+
+function lintSteps(steps, known, lookup, basePath, issues) {
+  if (!Array.isArray(steps)) return known;
+  for (let index = 0; index < steps.length; index += 1) {
+    const step = steps[index];
+    const stepPath = [...basePath, index];
+    const call = step?.call;
+    const report = (severity, code, message) => {
+      issues.push({ severity, code, path: stepPath.join('.'), call, message });
+    };
+    if (!isStepDefinition(step)) {
+      report('error', 'invalid_step', 'Step is missing a `call` id');
+      continue;
+    }
+
+    const { entry, error } = resolveEntry(lookup, call);
+    if (error) report('error', 'unregistered_component', error);
+    const metadata = entry?.metadata || null;
+    const inputs = declaredList(metadata?.inputs);
+    const outputs = declaredList(entry?.outputs) || declaredList(metadata?.outputs);
+    const slots = declaredList(metadata?.slots);
+
+    const bindings = isPlainObject(step.in) ? step.in : {};
+    for (const key of Object.keys(bindings)) {
+      if (key === SPREAD_KEY || !inputs || inputs.includes(key)) continue;
+      report('warning', 'unknown_input', `Input "${key}" is not declared by ${call} (accepts: ${inputs.join(', ')})`);
+    }
+    collectStateReads(bindings, {
+      expression(source) {
+        try {
+          compileExpression(source);
+        } catch (err) {
+          report('error', 'invalid_expression', err.message);
+        }
+      },
+      read(key, source) {
+        if (known && !known.has(key)) {
+          report('warning', 'unknown_state', `"${source}" reads state "${key}" that no earlier step produces`);
+        }
+      }
+    });
+
+    const slotMap = normalizeSlotMap(step) || {};
+    const lookupForSlots = call === REGISTRY_SCOPE_ID && isPlainObject(step.in)
+      ? createLookup(null, lookup, step.in)
+      : lookup;
+    for (const [name, nested] of Object.entries(slotMap)) {
+      if (slots && !slotDeclared(slots, name) && !UNIVERSAL_SLOTS.has(name)) {
+        report('error', 'unknown_slot', `Slot "${name}" is not declared by ${call} (slots: ${slots.join(', ')})`);
+      }
+      // Slot bodies start from the enclosing state; what they write stays local.
+      lintSteps(nested, known ? new Set(known) : null, lookupForSlots, [...stepPath, name], issues);
+    }
+
+    const outBindings = isPlainObject(step.out) ? step.out : {};
+    for (const [alias, rawValue] of Object.entries(outBindings)) {
+      if (alias === SPREAD_KEY) continue;
+      const key = rawValue && typeof rawValue === 'object' && rawValue[OPTIONAL_FLAG] ? rawValue.value : rawValue;
+      if (outputs && typeof key === 'string' && key !== '$' && !outputs.includes(key)) {
+        report('warning', 'unknown_output', `Output "${key}" (bound to "${alias}") is not declared by ${call} (outputs: ${outputs.join(', ')})`);
+      }
+      if (known) known.add(alias);
+    }
+    for (const descriptor of Array.isArray(outBindings[SPREAD_KEY]) ? outBindings[SPREAD_KEY] : []) {
+      if (!known || !isPlainObject(descriptor)) continue;
+      if (Array.isArray(descriptor.pick)) {
+        for (const key of descriptor.pick) known.add(key);
+      } else if (outputs && (descriptor.source === '$' || descriptor.source === '__lcod_result__')) {
+        for (const key of outputs) known.add(key);
+      } else {
+        // An unrestricted spread may write any key: stop tracking state from here on.
+        known = null;
+      }
+    }
+  }
+  return known;
+}
+
+export async function lintCompose(registry, compose, options = {}) {
+  if (registry?.__toolingReady && typeof registry.__toolingReady.then === 'function') {
+    await registry.__toolingReady;
+  }
+  const steps = options.normalized ? compose : await normalizeCompose(compose || []);
+  const inputs = Array.isArray(options.inputs) ? options.inputs : [];
+  const issues = [];
+  lintSteps(steps, new Set(inputs), createLookup(registry), [], issues);
+  return {
+    ok: !issues.some(issue => issue.severity === 'error'),
+    issues
+  };
+}
+
+export function formatLintIssue(issue) {
+  return `${issue.severity} ${issue.path} ${issue.call ?? '<no call>'} [${issue.code}]: ${issue.message}`;
+}
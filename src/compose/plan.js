@@ -0,0 +1,310 @@
+import { createHash } from 'node:crypto';
+import { compileExpression, isExpression, unescapeExpression } from './expression.js';
+import { parseDuration } from '../duration.js';
+
+export const SPREAD_KEY = '__lcod_spreads__';
+export const OPTIONAL_FLAG = '__lcod_optional__';
+
+// Compiled step plans are keyed by step object identity: normalized composes are
+// shared between runs, so each step (and each nested slot step) compiles once.
+const stepPlans = new WeakMap();
+
+export function getByPathRoot(rootObj, pathStr) {
+  if (!pathStr || typeof pathStr !== 'string') return pathStr;
+  const parts = pathStr.replace(/\[(\d+)\]/g, '.$1').split('.');
+  let cur = rootObj;
+  for (const p of parts) {
+    if (cur == null) return undefined;
+    cur = cur[p];
+  }
+  return cur;
+}
+
+export function cloneLiteral(value) {
+  if (Array.isArray(value)) {
+    return value.map(cloneLiteral);
+  }
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = cloneLiteral(v);
+    }
+    return out;
+  }
+  return value;
+}
+
+function isStepDefinition(value) {
+  return Boolean(value && typeof value === 'object' && typeof value.call === 'string');
+}
+
+function compilePath(pathStr) {
+  // `$.a[0].b` -> ['a', '0', 'b']; the leading root segment is supplied by the caller.
+  const parts = pathStr.replace(/\[(\d+)\]/g, '.$1').split('.').slice(1);
+  return (root) => {
+    let cur = root;
+    for (const p of parts) {
+      if (cur == null) return undefined;
+      cur = cur[p];
+    }
+    return cur;
+  };
+}
+
+function compileValue(v) {
+  if (Array.isArray(v)) {
+    const items = v.map(item => (isStepDefinition(item) ? () => item : compileValue(item)));
+    return (state, slot) => items.map(resolve => resolve(state, slot));
+  }
+  if (v && typeof v === 'object') {
+    if (v[OPTIONAL_FLAG]) {
+      return compileValue(v.value);
+    }
+    const keys = Object.keys(v);
+    if (
+      keys.length === 1 &&
+      (Object.prototype.hasOwnProperty.call(v, '__lcod_state__') ||
+        Object.prototype.hasOwnProperty.call(v, '__lcod_input__'))
+    ) {
+      return (state) => cloneLiteral(state);
+    }
+    if (isStepDefinition(v)) return () => v;
+    const entries = Object.entries(v).map(([key, value]) => [
+      key,
+      key === 'bindings' ? () => cloneLiteral(value) : compileValue(value)
+    ]);
+    return (state, slot) => {
+      const out = {};
+      for (const [key, resolve] of entries) {
+        out[key] = resolve(state, slot);
+      }
+      return out;
+    };
+  }
+  if (typeof v !== 'string') return () => v;
+  if (isExpression(v)) {
+    const evaluate = compileExpression(v);
+    return (state, slot) => evaluate({ state, slot });
+  }
+  const literal = unescapeExpression(v);
+  if (literal !== null) return () => literal;
+  if (v === '__lcod_state__') return (state) => cloneLiteral(state);
+  if (v === '__lcod_result__') return () => null;
+  if (v.startsWith('$.')) {
+    const read = compilePath(v);
+    return (state) => read(state);
+  }
+  if (v.startsWith('$slot.')) {
+    const read = compilePath(v);
+    return (_state, slot) => read(slot || {});
+  }
+  return () => v;
+}
+
+function compileSpreads(descriptors, compileSource) {
+  if (!Array.isArray(descriptors)) return [];
+  return descriptors
+    .filter(descriptor => descriptor && typeof descriptor === 'object')
+    .map(descriptor => ({
+      source: compileSource(descriptor.source),
+      pick: Array.isArray(descriptor.pick) ? [...descriptor.pick] : null,
+      optional: Boolean(descriptor.optional)
+    }));
+}
+
+function applySpread(target, spread, source) {
+  if (source == null || typeof source !== 'object' || Array.isArray(source)) return;
+  if (spread.pick) {
+    for (const key of spread.pick) {
+      if (Object.prototype.hasOwnProperty.call(source, key)) {
+        target[key] = cloneLiteral(source[key]);
+      } else if (!spread.optional) {
+        target[key] = undefined;
+      }
+    }
+    return;
+  }
+  for (const [key, value] of Object.entries(source)) {
+    target[key] = cloneLiteral(value);
+  }
+}
+
+function unwrapOptional(rawValue) {
+  if (rawValue && typeof rawValue === 'object' && rawValue[OPTIONAL_FLAG]) {
+    return { optional: true, value: rawValue.value };
+  }
+  return { optional: false, value: rawValue };
+}
+
+function compileInput(bindings) {
+  const spreads = compileSpreads(bindings?.[SPREAD_KEY], compileValue);
+  const entries = [];
+  for (const [key, rawValue] of Object.entries(bindings || {})) {
+    if (key === SPREAD_KEY) continue;
+    if (key === 'bindings') {
+      entries.push({ key, optional: false, resolve: () => cloneLiteral(rawValue) });
+      continue;
+    }
+    const { optional, value } = unwrapOptional(rawValue);
+    entries.push({ key, optional, resolve: compileValue(value) });
+  }
+  return (state, slot) => {
+    const out = {};
+    for (const spread of spreads) {
+      applySpread(out, spread, spread.source(state, slot));
+    }
+    for (const entry of entries) {
+      const resolved = entry.resolve(state, slot);
+      if (entry.optional && (resolved === undefined || resolved === null)) continue;
+      out[entry.key] = resolved;
+    }
+    return out;
+  };
+}
+
+function compileResultSource(sourceValue) {
+  if (typeof sourceValue === 'string' && sourceValue !== '$' && sourceValue.startsWith('$.')) {
+    const read = compilePath(sourceValue);
+    return (res) => read(res);
+  }
+  return (res) => res;
+}
+
+function compileOutputs(bindings) {
+  const spreads = compileSpreads(bindings?.[SPREAD_KEY], compileResultSource);
+  const aliases = [];
+  for (const [alias, rawValue] of Object.entries(bindings || {})) {
+    if (alias === SPREAD_KEY) continue;
+    const { optional, value: key } = unwrapOptional(rawValue);
+    aliases.push({ alias, optional, read: key === '$' ? (res) => res : (res) => res?.[key] });
+  }
+  return (cur, res) => {
+    if (res && typeof res === 'object') {
+      for (const spread of spreads) {
+        applySpread(cur, spread, spread.source(res));
+      }
+    }
+    for (const entry of aliases) {
+      const resolved = entry.read(res);
+      if (entry.optional && (resolved === undefined || resolved === null)) continue;
+      cur[entry.alias] = resolved;
+    }
+    return cur;
+  };
+}
+
+export function normalizeSlotMap(step) {
+  if (!step || typeof step !== 'object') return null;
+  const result = {};
+  const assign = (key, value) => {
+    if (Array.isArray(value)) {
+      result[key] = value;
+    }
+  };
+  const merge = (source) => {
+    if (!source) return;
+    if (Array.isArray(source)) {
+      assign('children', source);
+      return;
+    }
+    if (typeof source === 'object') {
+      for (const [name, value] of Object.entries(source)) {
+        assign(name, value);
+      }
+    }
+  };
+  merge(step.children);
+  merge(step.slots);
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+function hasSlotEntries(slotMap) {
+  if (!slotMap || typeof slotMap !== 'object') return false;
+  return Object.values(slotMap).some(value => Array.isArray(value) && value.length > 0);
+}
+
+// `cache: true` or `cache: { ttl, store }` memoizes the call's output by its input.
+function compileCache(step) {
+  const raw = step?.cache;
+  if (raw == null || raw === false) return null;
+  const options = raw === true ? {} : raw;
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error(`Invalid step cache for ${step.call} (expected true or { ttl, store })`);
+  }
+  const ttlMs = options.ttl == null ? null : parseDuration(options.ttl);
+  if (options.ttl != null && ttlMs == null) {
+    throw new Error(`Invalid cache ttl "${options.ttl}" for ${step.call} (expected e.g. 30s, 5m)`);
+  }
+  return Object.freeze({ store: options.store || 'memory', ttlMs });
+}
+
+function compileStep(step) {
+  const slotMap = normalizeSlotMap(step);
+  const childrenMeta = slotMap ? { ...slotMap } : null;
+  if (childrenMeta && !childrenMeta.children && Array.isArray(childrenMeta.body)) {
+    // TODO(M7-00): drop this shim along with `runChildren` once legacy composes stop sending `children`.
+    childrenMeta.children = childrenMeta.body;
+  }
+  const timeoutMs = step?.timeout == null ? null : parseDuration(step.timeout);
+  if (step?.timeout != null && timeoutMs == null) {
+    throw new Error(`Invalid step timeout "${step.timeout}" for ${step.call} (expected e.g. 500ms, 5s, 1m)`);
+  }
+  return Object.freeze({
+    call: typeof step?.call === 'string' ? step.call.trim() : step?.call,
+    timeoutMs,
+    cache: compileCache(step),
+    buildInput: compileInput(step?.in || {}),
+    applyOutputs: compileOutputs(step?.out),
+    slotMap: slotMap ? Object.freeze(slotMap) : null,
+    childrenMeta: childrenMeta ? Object.freeze(childrenMeta) : null,
+    hasSlots: hasSlotEntries(slotMap)
+  });
+}
+
+// Plans are cached by step identity, so only frozen steps are cached: a mutable
+// step could be edited after its first run and must be recompiled each time.
+export function freezeSteps(value) {
+  if (!value || typeof value !== 'object' || Object.isFrozen(value)) return value;
+  // Plain objects only (possibly from another realm, like normalizer output).
+  const proto = Object.getPrototypeOf(value);
+  if (!Array.isArray(value) && proto !== null && Object.getPrototypeOf(proto) !== null) return value;
+  Object.freeze(value);
+  for (const item of Object.values(value)) freezeSteps(item);
+  return value;
+}
+
+export function getStepPlan(step) {
+  if (!step || typeof step !== 'object' || !Object.isFrozen(step)) return compileStep(step);
+  let plan = stepPlans.get(step);
+  if (!plan) {
+    plan = compileStep(step);
+    stepPlans.set(step, plan);
+  }
+  return plan;
+}
+
+// Compiles every step up front, nested slots included. Steps that fail to compile
+// (e.g. an invalid expression) are left for runSteps, which reports them with their path.
+export function precompileSteps(steps) {
+  if (!Array.isArray(steps)) return 0;
+  let count = 0;
+  for (const step of steps) {
+    let plan;
+    try {
+      plan = getStepPlan(step);
+    } catch (_) {
+      continue;
+    }
+    count += 1;
+    if (plan.slotMap) {
+      for (const nested of Object.values(plan.slotMap)) {
+        count += precompileSteps(nested);
+      }
+    }
+  }
+  return count;
+}
+
+export function composePlanKey(compose) {
+  return createHash('sha256').update(JSON.stringify(compose ?? []), 'utf8').digest('hex');
+}
@@ -1,118 +1,9 @@
 import { logKernelError, logKernelInfo } from '../tooling/logging.js';
-
-const SPREAD_KEY = '__lcod_spreads__';
-const OPTIONAL_FLAG = '__lcod_optional__';
-
-function getByPathRoot(rootObj, pathStr) {
-  if (!pathStr || typeof pathStr !== 'string') return pathStr;
-  const parts = pathStr.split('.');
-  let cur = rootObj;
-  for (const p of parts) {
-    if (cur == null) return undefined;
-    cur = cur[p];
-  }
-  return cur;
-}
-
-function isStepDefinition(value) {
-  return Boolean(value && typeof value === 'object' && typeof value.call === 'string');
-}
-
-function cloneLiteral(value) {
-  if (Array.isArray(value)) {
-    return value.map(cloneLiteral);
-  }
-  if (value && typeof value === 'object') {
-    const out = {};
-    for (const [k, v] of Object.entries(value)) {
-      out[k] = cloneLiteral(v);
-    }
-    return out;
-  }
-  return value;
-}
-
-function resolveValue(v, state, slot) {
-  if (Array.isArray(v)) {
-    return v.map(item => (isStepDefinition(item) ? item : resolveValue(item, state, slot)));
-  }
-  if (v && typeof v === 'object') {
-    if (v[OPTIONAL_FLAG]) {
-      return resolveValue(v.value, state, slot);
-    }
-    const keys = Object.keys(v);
-    if (
-      keys.length === 1 &&
-      (Object.prototype.hasOwnProperty.call(v, '__lcod_state__') ||
-        Object.prototype.hasOwnProperty.call(v, '__lcod_input__'))
-    ) {
-      return cloneLiteral(state);
-    }
-    if (isStepDefinition(v)) return v;
-    const out = {};
-    for (const [key, value] of Object.entries(v)) {
-      if (key === 'bindings') {
-        out[key] = cloneLiteral(value);
-      } else {
-        out[key] = resolveValue(value, state, slot);
-      }
-    }
-    return out;
-  }
-  if (typeof v !== 'string') return v;
-  if (v === '__lcod_state__') return cloneLiteral(state);
-  if (v === '__lcod_result__') return null;
-  if (v.startsWith('$.')) return getByPathRoot({ $: state }, v);
-  if (v.startsWith('$slot.')) return getByPathRoot({ $slot: slot || {} }, v);
-  return v;
-}
-
-function buildInput(bindings, state, slot) {
-  const out = {};
-  const spreadDescriptors = Array.isArray(bindings?.[SPREAD_KEY]) ? bindings[SPREAD_KEY] : null;
-  if (spreadDescriptors) {
-    for (const descriptor of spreadDescriptors) {
-      if (!descriptor || typeof descriptor !== 'object') continue;
-      const source = resolveValue(descriptor.source, state, slot);
-      if (source == null || typeof source !== 'object' || Array.isArray(source)) {
-        if (descriptor.optional) continue;
-        continue;
-      }
-      if (Array.isArray(descriptor.pick)) {
-        for (const key of descriptor.pick) {
-          if (Object.prototype.hasOwnProperty.call(source, key)) {
-            out[key] = cloneLiteral(source[key]);
-          } else if (!descriptor.optional) {
-            out[key] = undefined;
-          }
-        }
-      } else {
-        for (const [key, value] of Object.entries(source)) {
-          out[key] = cloneLiteral(value);
-        }
-      }
-    }
-  }
-  for (const [k, rawValue] of Object.entries(bindings || {})) {
-    if (k === SPREAD_KEY) continue;
-    if (k === 'bindings') {
-      out[k] = cloneLiteral(rawValue);
-      continue;
-    }
-    let optional = false;
-    let value = rawValue;
-    if (value && typeof value === 'object' && value[OPTIONAL_FLAG]) {
-      optional = true;
-      value = value.value;
-    }
-    const resolved = resolveValue(value, state, slot);
-    if (optional && (resolved === undefined || resolved === null)) {
-      continue;
-    }
-    out[k] = resolved;
-  }
-  return out;
-}
+import { memoize } from '../cache.js';
+import { toTraceValue, diffStates, emitTrace } from './trace.js';
+import { ExpressionError } from './expression.js';
+import { getStepPlan } from './plan.js';
+import { addComposeFrame } from '../errors.js';
 
 function composeStepTags(step) {
   const tags = { logger: 'kernel.compose.step' };
@@ -139,36 +30,6 @@ function nonEmptyKeys(candidate) {
   return keys.length > 0 ? keys : undefined;
 }
 
-function normalizeSlotMap(step) {
-  if (!step || typeof step !== 'object') return null;
-  const result = {};
-  const assign = (key, value) => {
-    if (Array.isArray(value)) {
-      result[key] = value;
-    }
-  };
-  const merge = (source) => {
-    if (!source) return;
-    if (Array.isArray(source)) {
-      assign('children', source);
-      return;
-    }
-    if (typeof source === 'object') {
-      for (const [name, value] of Object.entries(source)) {
-        assign(name, value);
-      }
-    }
-  };
-  merge(step.children);
-  merge(step.slots);
-  return Object.keys(result).length > 0 ? result : null;
-}
-
-function hasSlotEntries(slotMap) {
-  if (!slotMap || typeof slotMap !== 'object') return false;
-  return Object.values(slotMap).some(value => Array.isArray(value) && value.length > 0);
-}
-
 function resolveSlotSteps(slotMap, name) {
   if (!slotMap) return [];
   if (Array.isArray(slotMap[name])) return slotMap[name];
@@ -231,37 +92,153 @@ function buildErrorData(index, durationMs, error) {
   });
 }
 
-export async function runSteps(ctx, steps, state, slot) {
+function enterPath(ctx, segment) {
+  if (!Array.isArray(ctx._stepPath)) ctx._stepPath = [];
+  ctx._stepPath.push(segment);
+}
+
+function leavePath(ctx) {
+  if (Array.isArray(ctx._stepPath)) ctx._stepPath.pop();
+}
+
+// A timed step runs on a branch of the context that is cancelled when the deadline
+// passes, so the abandoned call stops at its next step instead of running on.
+async function callWithTimeout(ctx, plan, input, callMeta) {
+  const branch = ctx.fork();
+  branch._pushScope();
+  try {
+    return await branch.withTimeout(
+      plan.timeoutMs,
+      () => branch.call(plan.call, input, callMeta),
+      `step ${ctx._stepPath.join('.')} ${plan.call}`
+    );
+  } catch (err) {
+    branch.cancel();
+    throw err;
+  } finally {
+    await branch._popScope();
+    branch.detach();
+  }
+}
+
+// A completed step's `compensate` slot becomes an undo action of the enclosing saga
+// (flow/try); it runs with the state and slot variables of that point, plus `$slot.result`.
+function registerCompensation(ctx, step, index, slot, res, cur, slotMap) {
+  const steps = slotMap?.compensate;
+  if (!Array.isArray(steps) || steps.length === 0 || !ctx._compensationStack?.length) return;
+  const path = [...ctx._stepPath, index];
+  const state = { ...cur };
+  const slotVars = { ...(slot || {}), result: res };
+  ctx.compensate({
+    componentId: step.call,
+    path: path.join('.'),
+    // Runs on the context that handles the failure (the registering branch may be gone).
+    run: async (runner) => {
+      const previous = runner._stepPath;
+      runner._stepPath = [...path, 'compensate'];
+      runner._pushScope();
+      try {
+        await runSteps(runner, steps, state, slotVars);
+      } finally {
+        runner._stepPath = previous;
+        await runner._popScope();
+      }
+    }
+  });
+}
+
+function buildComposeFrame(ctx, step, index, slot) {
+  const parentPath = Array.isArray(ctx._stepPath) ? ctx._stepPath : [];
+  const enclosing = parentPath[parentPath.length - 1];
+  return {
+    componentId: step?.call,
+    stepIndex: index,
+    path: [...parentPath, index].join('.'),
+    slot: typeof enclosing === 'string' ? enclosing : null,
+    iteration: Number.isInteger(slot?.index) ? slot.index : null
+  };
+}
+
+function buildTraceEntry(stepPath, step, slot, input, durationMs) {
+  return {
+    type: 'step',
+    timestamp: new Date().toISOString(),
+    path: stepPath,
+    depth: stepPath.filter(segment => typeof segment === 'number').length - 1,
+    call: step?.call,
+    durationMs,
+    slot: toTraceValue(slot),
+    input: toTraceValue(input)
+  };
+}
+
+// A slot runs on the enclosing state by default; `localState` replaces it, or
+// derives it when given as a function of the enclosing state.
+function slotBaseState(localState, cur) {
+  if (localState == null) return cur;
+  return typeof localState === 'function' ? localState(cur) : localState;
+}
+
+export async function runSteps(ctx, steps, state, slot, options = {}) {
   const base = (state && typeof state === 'object' && !Array.isArray(state)) ? state : {};
   let cur = { ...base };
   const list = Array.isArray(steps) ? steps : [];
-  for (let index = 0; index < list.length; index += 1) {
+  const startIndex = Number.isInteger(options.startIndex) && options.startIndex > 0 ? options.startIndex : 0;
+  const afterStep = typeof options.afterStep === 'function' ? options.afterStep : null;
+  for (let index = startIndex; index < list.length; index += 1) {
     ctx.ensureNotCancelled();
     const step = list[index];
-    const slotMap = normalizeSlotMap(step);
-    const childrenMeta = slotMap ? { ...slotMap } : null;
-    if (childrenMeta && !childrenMeta.children && Array.isArray(childrenMeta.body)) {
-      // TODO(M7-00): drop this shim along with `runChildren` once legacy composes stop sending `children`.
-      childrenMeta.children = childrenMeta.body;
+
+    let plan;
+    let input;
+    try {
+      plan = getStepPlan(step);
+      input = plan.buildInput(cur, slot);
+    } catch (err) {
+      if (err instanceof ExpressionError) {
+        const stepPath = [...(ctx._stepPath || []), index];
+        err.stepPath = stepPath;
+        err.message = `${err.message} (step ${stepPath.join('.')} ${step.call})`;
+      }
+      throw addComposeFrame(err, buildComposeFrame(ctx, step, index, slot));
+    }
+    const { slotMap, childrenMeta } = plan;
+    if (ctx._debug) {
+      // Cancellation requested while paused surfaces through ctx.call below.
+      await ctx._debug.beforeStep({
+        path: [...(ctx._stepPath || []), index],
+        call: step.call,
+        step,
+        input,
+        state: cur,
+        slot,
+        cancel: () => ctx.cancel()
+      });
     }
 
     const prevRunChildren = ctx.runChildren;
     const prevRunSlot = ctx.runSlot;
-    ctx.runChildren = async (childrenArray, localState, slotVars) => {
-      ctx.ensureNotCancelled();
-      const baseState = localState == null ? cur : localState;
-      ctx._pushScope();
+    // The runners use the context they are invoked on, so a branch forked from ctx
+    // (see Context.fork) runs the slot on its own path, scopes and runners.
+    ctx.runChildren = async function runChildren(childrenArray, localState, slotVars) {
+      const self = invokedOn(this, ctx);
+      self.ensureNotCancelled();
+      const baseState = slotBaseState(localState, cur);
+      self._pushScope();
+      enterPath(self, 'children');
       try {
-        return await runSteps(ctx, childrenArray || [], baseState, slotVars ?? slot);
+        return await runSteps(self, childrenArray || [], baseState, slotVars ?? slot);
       } finally {
-        await ctx._popScope();
+        leavePath(self);
+        await self._popScope();
       }
     };
-    ctx.runSlot = async (name, localState, slotVars) => {
-      ctx.ensureNotCancelled();
+    ctx.runSlot = async function runSlot(name, localState, slotVars) {
+      const self = invokedOn(this, ctx);
+      self.ensureNotCancelled();
       const hasLocalSlot = slotExists(slotMap, name);
       const arr = resolveSlotSteps(slotMap, name);
-      const baseState = localState == null ? cur : localState;
+      const baseState = slotBaseState(localState, cur);
       if (!arr || arr.length === 0) {
         if (hasLocalSlot) {
           return {};
@@ -270,25 +247,26 @@ export async function runSteps(ctx, steps, state, slot) {
           step?.call === 'lcod://contract/compose/run_slot@1' &&
           typeof prevRunSlot === 'function' && prevRunSlot !== ctx._defaultRunSlot;
         if (canDelegate) {
-          return prevRunSlot(name, localState, slotVars);
+          return prevRunSlot.call(self, name, localState, slotVars);
         }
         throw new Error(`Slot "${name}" not provided`);
       }
-      ctx._pushScope();
+      self._pushScope();
+      enterPath(self, name);
       try {
-        return await runSteps(ctx, arr, baseState, slotVars ?? slot);
+        return await runSteps(self, arr, baseState, slotVars ?? slot);
       } finally {
-        await ctx._popScope();
+        leavePath(self);
+        await self._popScope();
       }
     };
 
-    const input = buildInput(step.in || {}, cur, slot);
     const startPayload = buildStartData(
       index,
       step,
       nonEmptyKeys(input),
       nonEmptyKeys(slot),
-      hasSlotEntries(slotMap)
+      plan.hasSlots
     );
     try {
       await logKernelInfo(ctx, 'compose.step', {
@@ -301,13 +279,22 @@ export async function runSteps(ctx, steps, state, slot) {
 
     const startTime = process.hrtime.bigint();
     ctx._pushScope();
+    enterPath(ctx, index);
+    const stepPath = ctx._trace ? [...ctx._stepPath] : null;
     let res;
     let callError;
     try {
-      res = await ctx.call(step.call, input, { children: childrenMeta, slots: slotMap, slot, collectPath: step.collectPath });
+      const callMeta = { children: childrenMeta, slots: slotMap, slot, collectPath: step.collectPath };
+      const invoke = () => (plan.timeoutMs == null
+        ? ctx.call(plan.call, input, callMeta)
+        : callWithTimeout(ctx, plan, input, callMeta));
+      res = plan.cache
+        ? (await memoize(ctx, { ...plan.cache, namespace: plan.call, key: input }, invoke)).value
+        : await invoke();
     } catch (error) {
       callError = error;
     } finally {
+      leavePath(ctx);
       await ctx._popScope();
       ctx.runChildren = prevRunChildren;
       ctx.runSlot = prevRunSlot;
@@ -316,6 +303,13 @@ export async function runSteps(ctx, steps, state, slot) {
     const durationMs = Number(process.hrtime.bigint() - startTime) / 1e6;
 
     if (callError) {
+      if (stepPath) {
+        emitTrace(ctx, {
+          ...buildTraceEntry(stepPath, step, slot, input, durationMs),
+          status: 'error',
+          error: toTraceValue(callError)
+        });
+      }
       const errorPayload = buildErrorData(index, durationMs, callError);
       try {
         await logKernelError(ctx, 'compose.step', {
@@ -325,61 +319,22 @@ export async function runSteps(ctx, steps, state, slot) {
       } catch (_) {
         // ignore logging failures
       }
-      throw callError;
+      // break/continue signals unwind untouched; failures record where they went through.
+      if (callError && callError.$signal) throw callError;
+      throw addComposeFrame(callError, buildComposeFrame(ctx, step, index, slot));
     }
 
-    const spreadsOut = Array.isArray(step.out?.[SPREAD_KEY]) ? step.out[SPREAD_KEY] : null;
-    if (spreadsOut && res && typeof res === 'object') {
-      for (const descriptor of spreadsOut) {
-        if (!descriptor || typeof descriptor !== 'object') continue;
-        const sourceValue = descriptor.source;
-        let payload;
-        if (typeof sourceValue === 'string' && sourceValue === '$') {
-          payload = res;
-        } else if (sourceValue === '__lcod_result__') {
-          payload = res;
-        } else if (typeof sourceValue === 'string' && sourceValue.startsWith('$.')) {
-          payload = getByPathRoot({ $: res }, sourceValue);
-        } else {
-          payload = res;
-        }
-        if (payload == null || typeof payload !== 'object' || Array.isArray(payload)) {
-          if (descriptor.optional) continue;
-          continue;
-        }
-        if (Array.isArray(descriptor.pick)) {
-          for (const key of descriptor.pick) {
-            if (Object.prototype.hasOwnProperty.call(payload, key)) {
-              cur[key] = cloneLiteral(payload[key]);
-            } else if (!descriptor.optional) {
-              cur[key] = undefined;
-            }
-          }
-        } else {
-          for (const [key, value] of Object.entries(payload)) {
-            cur[key] = cloneLiteral(value);
-          }
-        }
-      }
-    }
-    for (const [alias, rawValue] of Object.entries(step.out || {})) {
-      if (alias === SPREAD_KEY) continue;
-      let optional = false;
-      let key = rawValue;
-      if (key && typeof key === 'object' && key[OPTIONAL_FLAG]) {
-        optional = true;
-        key = key.value;
-      }
-      let resolved;
-      if (key === '$') {
-        resolved = res;
-      } else {
-        resolved = res?.[key];
-      }
-      if (optional && (resolved === undefined || resolved === null)) {
-        continue;
-      }
-      cur[alias] = resolved;
+    const traceBefore = stepPath ? toTraceValue(cur) : null;
+    plan.applyOutputs(cur, res);
+    registerCompensation(ctx, step, index, slot, res, cur, slotMap);
+
+    if (stepPath) {
+      emitTrace(ctx, {
+        ...buildTraceEntry(stepPath, step, slot, input, durationMs),
+        status: 'ok',
+        output: toTraceValue(res),
+        diff: diffStates(traceBefore, toTraceValue(cur))
+      });
     }
 
     const successPayload = buildSuccessData(index, durationMs, res);
@@ -391,10 +346,18 @@ export async function runSteps(ctx, steps, state, slot) {
     } catch (_) {
       // ignore logging failures
     }
+
+    if (afterStep) {
+      await afterStep(index, cur);
+    }
   }
   return cur;
 }
 
+function invokedOn(receiver, fallback) {
+  return receiver && typeof receiver.ensureNotCancelled === 'function' ? receiver : fallback;
+}
+
 function slotExists(slotMap, name) {
   if (!slotMap) return false;
   if (Object.prototype.hasOwnProperty.call(slotMap, name)) return true;
@@ -0,0 +1,122 @@
+import fs from 'node:fs';
+import { isDeepStrictEqual } from 'node:util';
+
+const MAX_TRACE_DEPTH = 32;
+
+function isPlainObject(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+// Converts arbitrary runtime values (handles, servers, buffers, cycles) into
+// JSON-safe data so trace entries can always be serialised.
+export function toTraceValue(value, seen = new WeakSet(), depth = 0) {
+  if (value === undefined) return undefined;
+  if (value === null) return null;
+  const type = typeof value;
+  if (type === 'string' || type === 'boolean') return value;
+  if (type === 'number') return Number.isFinite(value) ? value : String(value);
+  if (type === 'bigint') return value.toString();
+  if (type === 'function') return `[Function ${value.name || 'anonymous'}]`;
+  if (type === 'symbol') return value.toString();
+  if (Buffer.isBuffer(value)) return { $type: 'Buffer', length: value.length };
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Error) {
+    const out = { $type: value.name || 'Error', message: value.message };
+    if (value.code !== undefined) out.code = value.code;
+    return out;
+  }
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_TRACE_DEPTH) return '[MaxDepth]';
+  if (Array.isArray(value)) {
+    seen.add(value);
+    const out = value.map(item => {
+      const converted = toTraceValue(item, seen, depth + 1);
+      return converted === undefined ? null : converted;
+    });
+    seen.delete(value);
+    return out;
+  }
+  if (!isPlainObject(value)) {
+    return { $type: value.constructor?.name || 'Object' };
+  }
+  seen.add(value);
+  const out = {};
+  for (const [key, item] of Object.entries(value)) {
+    const converted = toTraceValue(item, seen, depth + 1);
+    if (converted !== undefined) out[key] = converted;
+  }
+  seen.delete(value);
+  return out;
+}
+
+function childPath(base, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`;
+}
+
+// Structural diff between two trace values. Objects are compared key by key,
+// everything else (arrays included) is reported as a whole replacement.
+export function diffStates(before, after, path = '$', changes = []) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    for (const key of Object.keys(before)) {
+      if (!Object.prototype.hasOwnProperty.call(after, key)) {
+        changes.push({ op: 'remove', path: childPath(path, key), from: before[key] });
+      }
+    }
+    for (const [key, value] of Object.entries(after)) {
+      if (!Object.prototype.hasOwnProperty.call(before, key)) {
+        changes.push({ op: 'add', path: childPath(path, key), to: value });
+      } else {
+        diffStates(before[key], value, childPath(path, key), changes);
+      }
+    }
+    return changes;
+  }
+  if (!isDeepStrictEqual(before, after)) {
+    changes.push({ op: 'replace', path, from: before, to: after });
+  }
+  return changes;
+}
+
+export function createJsonlTraceSink(target) {
+  let stream;
+  let owned = false;
+  if (target === '-' || target == null) {
+    stream = process.stderr;
+  } else if (typeof target === 'string') {
+    stream = fs.createWriteStream(target, { flags: 'w' });
+    owned = true;
+  } else if (target && typeof target.write === 'function') {
+    stream = target;
+  } else {
+    throw new Error('Trace target must be a file path, "-" or a writable stream');
+  }
+  let closed = false;
+  return {
+    write(entry) {
+      if (closed) return;
+      stream.write(`${JSON.stringify(entry)}\n`);
+    },
+    async close() {
+      if (closed) return;
+      closed = true;
+      if (!owned) return;
+      await new Promise((resolve, reject) => {
+        stream.once('error', reject);
+        stream.end(resolve);
+      });
+    }
+  };
+}
+
+export function emitTrace(ctx, entry) {
+  const sink = ctx?._trace;
+  if (!sink) return;
+  try {
+    if (typeof sink === 'function') sink(entry);
+    else if (typeof sink.write === 'function') sink.write(entry);
+  } catch (_) {
+    // tracing must never break execution
+  }
+}
@@ -0,0 +1,139 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import TOML from '@iarna/toml';
+
+const moduleDir = path.dirname(fileURLToPath(import.meta.url));
+export const BUNDLED_CONTRACTS_DIR = path.resolve(moduleDir, '..', 'contracts');
+
+function readSchema(baseDir, ref) {
+  if (typeof ref !== 'string' || !ref) return undefined;
+  return JSON.parse(fs.readFileSync(path.resolve(baseDir, ref), 'utf8'));
+}
+
+// Reads a contract package (lcp.toml with kind = "contract" plus its tool schemas).
+export function loadContractDefinition(dir) {
+  const manifest = TOML.parse(fs.readFileSync(path.join(dir, 'lcp.toml'), 'utf8'));
+  if (manifest.kind !== 'contract' || typeof manifest.id !== 'string') return null;
+  return {
+    id: manifest.id,
+    summary: typeof manifest.summary === 'string' ? manifest.summary : undefined,
+    inputSchema: readSchema(dir, manifest.tool?.inputSchema),
+    outputSchema: readSchema(dir, manifest.tool?.outputSchema)
+  };
+}
+
+export function loadContractsFromDir(root) {
+  const definitions = [];
+  const visit = (dir) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err && err.code === 'ENOENT') return;
+      throw err;
+    }
+    if (entries.some(entry => entry.isFile() && entry.name === 'lcp.toml')) {
+      const definition = loadContractDefinition(dir);
+      if (definition) definitions.push(definition);
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory()) visit(path.join(dir, entry.name));
+    }
+  };
+  visit(root);
+  return definitions;
+}
+
+export function registerContractsFromDir(registry, root = BUNDLED_CONTRACTS_DIR) {
+  for (const definition of loadContractsFromDir(root)) {
+    const { id, ...contract } = definition;
+    registry.registerContract(id, contract);
+  }
+  return registry;
+}
+
+function schemaTypes(schema) {
+  if (!schema || typeof schema !== 'object' || schema.type === undefined) return null;
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  // JSON Schema integers are numbers too.
+  return types.includes('number') ? [...types, 'integer'] : types;
+}
+
+function typesCovered(inner, outer) {
+  const innerTypes = schemaTypes(inner);
+  const outerTypes = schemaTypes(outer);
+  if (!innerTypes || !outerTypes) return true;
+  return innerTypes.every(type => outerTypes.includes(type));
+}
+
+function objectShape(schema) {
+  if (!schema || typeof schema !== 'object') return null;
+  return {
+    properties: schema.properties && typeof schema.properties === 'object' ? schema.properties : {},
+    required: Array.isArray(schema.required) ? schema.required : [],
+    closed: schema.additionalProperties === false
+  };
+}
+
+// The implementation must accept every input the contract allows...
+function compareInputs(contractSchema, implSchema, problems) {
+  const contract = objectShape(contractSchema);
+  const impl = objectShape(implSchema);
+  if (!contract || !impl) return;
+  for (const key of impl.required) {
+    if (!contract.required.includes(key)) {
+      problems.push(`requires input "${key}" that the contract does not guarantee`);
+    }
+  }
+  for (const [key, schema] of Object.entries(contract.properties)) {
+    if (!(key in impl.properties)) {
+      if (impl.closed) problems.push(`rejects contract input "${key}"`);
+      continue;
+    }
+    if (!typesCovered(schema, impl.properties[key])) {
+      problems.push(`input "${key}" does not accept every type the contract allows`);
+    }
+  }
+}
+
+// ...and produce every output the contract promises, with compatible types.
+function compareOutputs(contractSchema, implSchema, implOutputs, problems) {
+  const contract = objectShape(contractSchema);
+  if (!contract) return;
+  const impl = objectShape(implSchema);
+  for (const key of contract.required) {
+    const declared = impl
+      ? impl.required.includes(key) || key in impl.properties
+      : !Array.isArray(implOutputs) || implOutputs.includes(key);
+    if (!declared) problems.push(`does not declare required output "${key}"`);
+  }
+  if (!impl) return;
+  for (const [key, schema] of Object.entries(impl.properties)) {
+    if (key in contract.properties) {
+      if (!typesCovered(schema, contract.properties[key])) {
+        problems.push(`output "${key}" has types the contract does not allow`);
+      }
+    } else if (contract.closed) {
+      problems.push(`declares output "${key}" that the contract does not allow`);
+    }
+  }
+}
+
+function declaredContracts(value) {
+  if (typeof value === 'string' && value) return [value];
+  return Array.isArray(value) ? value.filter(item => typeof item === 'string' && item) : [];
+}
+
+// Returns human-readable mismatches between a contract entry and an implementation entry.
+export function checkContractConformance(contractId, contract, implEntry, sameContract) {
+  const problems = [];
+  const declared = declaredContracts(implEntry.implements);
+  if (declared.length > 0 && !declared.some(id => sameContract(id, contractId))) {
+    problems.push(`declares implements ${declared.join(', ')}`);
+  }
+  compareInputs(contract.inputSchema, implEntry.inputSchema, problems);
+  compareOutputs(contract.outputSchema, implEntry.outputSchema, implEntry.outputs, problems);
+  return problems;
+}
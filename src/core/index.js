@@ -11,6 +11,8 @@ import { parse as parseToml, stringify as stringifyToml } from '@iarna/toml';
 import { parse as parseCsv } from 'csv-parse/sync';
 import { registerStreamContracts, StreamManager } from './streams.js';
 import { registerState } from './state.js';
+import { registerContractsFromDir } from '../contracts.js';
+import { ensureCacheDir } from '../cache.js';
 
 const execFileAsync = promisify(execFile);
 
@@ -239,36 +241,6 @@ function resolveObjectPath(source, segments) {
   return { value: current, found: true };
 }
 
-function resolveCacheCandidates(projectPath) {
-  const candidates = [];
-  if (projectPath) candidates.push(path.join(projectPath, '.lcod', 'cache'));
-  if (process.env.LCOD_CACHE_DIR) candidates.push(path.resolve(process.env.LCOD_CACHE_DIR));
-  try {
-    const homeCache = path.join(os.homedir(), '.cache', 'lcod');
-    candidates.push(homeCache);
-  } catch {
-    // homedir not available (non-POSIX env)
-  }
-  return candidates.filter(Boolean);
-}
-
-async function ensureCacheDir(projectPath) {
-  const candidates = resolveCacheCandidates(projectPath);
-  for (const candidate of candidates) {
-    try {
-      await fs.mkdir(candidate, { recursive: true });
-      return candidate;
-    } catch (err) {
-      if (err && err.code === 'EEXIST') {
-        return candidate;
-      }
-    }
-  }
-  const fallback = path.join(projectPath || process.cwd(), '.lcod', 'cache');
-  await fs.mkdir(fallback, { recursive: true });
-  return fallback;
-}
-
 function computeCacheKey(parts) {
   const hash = crypto.createHash('sha256');
   hash.update(JSON.stringify(parts));
@@ -333,6 +305,7 @@ async function resolveTextInput(ctx, input, defaultEncoding = 'utf-8') {
 }
 
 export function registerNodeCore(reg) {
+  registerContractsFromDir(reg);
   registerStreamContracts(reg);
   registerState(reg);
 
@@ -378,17 +351,23 @@ export function registerNodeCore(reg) {
   reg.register('lcod://contract/core/runtime/info@1', runtimeInfo);
 
   // Filesystem contracts
-  const fsReadFile = async (_ctx, input = {}) => {
+  const fsReadFile = async (ctx, input = {}) => {
     const { path: filePath, encoding = 'utf-8' } = input;
     if (!filePath) throw new Error('path is required');
+    const signal = ctx?.signal;
     const stats = await fs.stat(filePath);
+    // `stream: true` returns a handle read lazily through core/stream/read@1.
+    if (input.stream === true) {
+      const handle = ensureStreamManager(ctx).createFromFile(filePath, { encoding: 'binary', mediaType: input.mediaType });
+      return { stream: handle, size: stats.size, mtime: stats.mtime.toISOString() };
+    }
     let data;
     let actualEncoding = encoding;
     if (encoding === 'base64' || encoding === 'hex') {
-      const buf = await fs.readFile(filePath);
+      const buf = await fs.readFile(filePath, { signal });
       data = buf.toString(encoding);
     } else {
-      data = await fs.readFile(filePath, { encoding });
+      data = await fs.readFile(filePath, { encoding, signal });
     }
     return {
       data,
@@ -507,13 +486,15 @@ export function registerNodeCore(reg) {
     if (timeoutMs) {
       timeout = setTimeout(() => controller.abort(), timeoutMs);
     }
+    // Cancellation and step deadlines abort the request in flight.
+    const signal = ctx?.signal ? AbortSignal.any([controller.signal, ctx.signal]) : controller.signal;
 
     try {
       const init = {
         method,
         headers: {} ,
         redirect: followRedirects ? 'follow' : 'manual',
-        signal: controller.signal
+        signal
       };
       for (const [key, value] of Object.entries(headers)) {
         if (Array.isArray(value)) init.headers[key] = value.join(', ');
@@ -573,7 +554,7 @@ export function registerNodeCore(reg) {
   });
 
   // Git clone contract
-  reg.register('lcod://contract/core/git/clone@1', async (_ctx, input = {}) => {
+  reg.register('lcod://contract/core/git/clone@1', async (ctx, input = {}) => {
     const { url, ref, depth, subdir, dest, auth } = input;
     if (!url) throw new Error('url is required');
     const targetDir = dest ? path.resolve(dest) : path.resolve('.lcod-cache', crypto.randomUUID());
@@ -583,10 +564,11 @@ export function registerNodeCore(reg) {
     if (ref) args.push('--branch', ref);
     const env = { ...process.env };
     if (auth?.token) env.GIT_ASKPASS = 'echo';
-    await execFileAsync('git', args, { env });
+    const signal = ctx?.signal;
+    await execFileAsync('git', args, { env, signal });
     let commit = ref;
     if (!commit || commit.startsWith('refs/')) {
-      const { stdout } = await execFileAsync('git', ['rev-parse', 'HEAD'], { cwd: targetDir });
+      const { stdout } = await execFileAsync('git', ['rev-parse', 'HEAD'], { cwd: targetDir, signal });
       commit = stdout.trim();
     }
     let exposedPath = targetDir;
@@ -214,6 +214,9 @@ export class StreamManager {
     } else if (decode === 'hex') {
       chunkOut = buffer.toString('hex');
       encodingOut = 'hex';
+    } else if (decode === 'buffer') {
+      // Raw bytes for in-process readers (HTTP piping, line splitting); not JSON-safe.
+      chunkOut = buffer;
     } else {
       chunkOut = buffer.toString('base64');
       encodingOut = 'base64';
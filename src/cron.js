@@ -0,0 +1,101 @@
+// Five-field cron expressions ("minute hour day-of-month month day-of-week"),
+// evaluated in local time. Fields accept `*`, numbers, lists, ranges and steps
+// ("*/15", "1-5", "0,30"); day-of-week 7 is Sunday like 0.
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Searching further than this means the expression never fires (e.g. "0 0 30 2 *").
+const MAX_SEARCH_MS = 5 * 366 * 24 * 3_600_000;
+
+function parseNumber(text, field, expression) {
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid cron ${field.name} "${text}" in "${expression}"`);
+  }
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new Error(`Cron ${field.name} ${value} is out of range ${field.min}-${field.max} in "${expression}"`);
+  }
+  return value;
+}
+
+function parseField(text, field, expression) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid cron step "${part}" in "${expression}"`);
+    }
+    let from;
+    let to;
+    if (range === '*') {
+      from = field.min;
+      to = field.max;
+    } else if (range.includes('-')) {
+      const [start, end] = range.split('-');
+      from = parseNumber(start, field, expression);
+      to = parseNumber(end, field, expression);
+      if (from > to) throw new Error(`Invalid cron range "${range}" in "${expression}"`);
+    } else {
+      from = parseNumber(range, field, expression);
+      to = stepText === undefined ? from : field.max;
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return { values, wildcard: text === '*' };
+}
+
+export function parseCron(expression) {
+  if (typeof expression !== 'string') throw new Error('Cron expression must be a string');
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields`);
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i], expression));
+  if (dayOfWeek.values.has(7)) dayOfWeek.values.add(0);
+  return { expression, minute, hour, dayOfMonth, month, dayOfWeek };
+}
+
+// Like cron, a restricted day-of-month and day-of-week match when either does.
+function matchesDay(cron, date) {
+  const dom = cron.dayOfMonth.values.has(date.getDate());
+  const dow = cron.dayOfWeek.values.has(date.getDay());
+  if (cron.dayOfMonth.wildcard) return dow;
+  if (cron.dayOfWeek.wildcard) return dom;
+  return dom || dow;
+}
+
+// First time strictly after `from` (a Date or epoch ms) matching the expression.
+export function nextCronTime(cron, from = Date.now()) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const start = new Date(typeof from === 'number' ? from : from.getTime());
+  const date = new Date(start.getFullYear(), start.getMonth(), start.getDate(), start.getHours(), start.getMinutes() + 1);
+  const limit = start.getTime() + MAX_SEARCH_MS;
+  while (date.getTime() <= limit) {
+    if (!parsed.month.values.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+      continue;
+    }
+    if (!matchesDay(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+      continue;
+    }
+    if (!parsed.hour.values.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+      continue;
+    }
+    if (!parsed.minute.values.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+      continue;
+    }
+    return date;
+  }
+  return null;
+}
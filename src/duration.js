@@ -0,0 +1,14 @@
+const UNIT_MS = { ms: 1, s: 1000, m: 60_000, h: 3_600_000 };
+
+// Accepts milliseconds as a number or digit string, or `<n>ms|s|m|h` ("5s", "1.5m").
+export function parseDuration(value) {
+  if (value == null) return null;
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (!trimmed) return null;
+  if (/^\d+$/.test(trimmed)) return Number(trimmed);
+  const match = trimmed.match(/^(\d+(?:\.\d+)?)(ms|s|m|h)$/i);
+  if (!match) return null;
+  return Number(match[1]) * UNIT_MS[match[2].toLowerCase()];
+}
@@ -0,0 +1,102 @@
+import { types } from 'node:util';
+
+// Errors raised while running composes. `composeStack` lists the steps the error
+// went through, innermost first: { componentId, stepIndex, path, slot, iteration }.
+export class KernelError extends Error {
+  constructor(message, { code = 'unexpected_error', cause, data } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = 'KernelError';
+    this.code = code;
+    if (data !== undefined) this.data = data;
+    this.composeStack = [];
+  }
+
+  toJSON() {
+    return serializeError(this);
+  }
+}
+
+function readCode(value) {
+  return typeof value?.code === 'string' && value.code.length ? value.code : 'unexpected_error';
+}
+
+function isError(value) {
+  return value instanceof Error || types.isNativeError(value);
+}
+
+// Errors are returned as is (class, code and own fields intact) with a
+// `composeStack` attached; other thrown values, such as the normalized
+// `{ code, message }` objects of flow/try, are wrapped in a KernelError.
+export function toKernelError(err) {
+  if (isError(err) && Object.isExtensible(err)) {
+    if (!Array.isArray(err.composeStack)) err.composeStack = [];
+    return err;
+  }
+  if (err && typeof err === 'object') {
+    const message = typeof err.message === 'string' && err.message.length ? err.message : 'Unexpected error';
+    const hasData = Object.prototype.hasOwnProperty.call(err, 'data');
+    const wrapped = new KernelError(message, {
+      code: readCode(err),
+      cause: isError(err) ? err : err.cause,
+      data: hasData ? err.data : undefined
+    });
+    // A normalized error rethrown by flow/try keeps the frames it already collected.
+    if (Array.isArray(err.composeStack)) wrapped.composeStack.push(...err.composeStack);
+    return wrapped;
+  }
+  return new KernelError(typeof err === 'string' ? err : 'Unexpected error');
+}
+
+export function addComposeFrame(err, frame) {
+  const error = toKernelError(err);
+  error.composeStack.push(frame);
+  return error;
+}
+
+function serializeCause(cause, depth) {
+  if (cause == null || depth > 8) return undefined;
+  if (typeof cause !== 'object') return { code: 'unexpected_error', message: String(cause) };
+  const out = {
+    code: readCode(cause),
+    message: typeof cause.message === 'string' ? cause.message : String(cause)
+  };
+  const nested = serializeCause(cause.cause, depth + 1);
+  if (nested) out.cause = nested;
+  return out;
+}
+
+// Plain-object form used by flow/try catch slots and JSON output.
+export function serializeError(err) {
+  const out = serializeCause(err, 0);
+  if (err && Object.prototype.hasOwnProperty.call(err, 'data')) out.data = err.data;
+  if (Array.isArray(err?.composeStack) && err.composeStack.length) {
+    out.composeStack = err.composeStack.map(frame => ({ ...frame }));
+  }
+  return out;
+}
+
+function formatFrame(frame) {
+  const details = [`step ${frame.path ?? frame.stepIndex}`];
+  if (frame.slot) details.push(`slot ${frame.slot}`);
+  if (frame.iteration != null) details.push(`iteration ${frame.iteration}`);
+  return `    at ${frame.componentId ?? '<unknown>'} (${details.join(', ')})`;
+}
+
+// Human-readable report: message, compose stack, then the cause chain.
+export function formatKernelError(err) {
+  const lines = [`${err?.name || 'Error'} [${readCode(err)}]: ${err?.message ?? String(err)}`];
+  for (const frame of Array.isArray(err?.composeStack) ? err.composeStack : []) {
+    lines.push(formatFrame(frame));
+  }
+  let cause = err?.cause;
+  for (let depth = 0; cause != null && depth < 8; depth += 1) {
+    if (typeof cause === 'object') {
+      const code = typeof cause.code === 'string' ? ` [${cause.code}]` : '';
+      lines.push(`Caused by: ${cause.name || 'Error'}${code}: ${cause.message}`);
+    } else {
+      lines.push(`Caused by: ${String(cause)}`);
+    }
+    cause = typeof cause === 'object' ? cause.cause : null;
+  }
+  return lines.join('\n');
+}
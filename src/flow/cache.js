@@ -0,0 +1,23 @@
+import { memoize } from '../cache.js';
+import { parseDuration } from '../duration.js';
+
+// Memoizes the state of the `body` slot by `key`. Without a `namespace` the body's
+// own steps are the namespace, so two cache blocks only share entries when they
+// run the same steps.
+export async function flowCache(ctx, input = {}, meta = {}) {
+  // Without a key every run would share the first run's entry.
+  if (input.key == null) {
+    throw new Error('flow/cache: `key` is required (the values the body result depends on)');
+  }
+  const ttlMs = input.ttl == null ? null : parseDuration(input.ttl);
+  if (input.ttl != null && ttlMs == null) {
+    throw new Error('flow/cache: `ttl` must be a duration such as 30s or 5m');
+  }
+  const { value, hit } = await memoize(ctx, {
+    store: input.store ?? 'memory',
+    namespace: input.namespace ?? meta?.children?.body ?? null,
+    key: input.key,
+    ttlMs
+  }, async () => await ctx.runSlot('body') || {});
+  return { ...value, cacheHit: hit };
+}
@@ -0,0 +1,152 @@
+import { randomUUID } from 'crypto';
+import { KernelError } from '../errors.js';
+
+// In-process channels between concurrent parts of a compose (flow/parallel tasks,
+// background schedules). Like stream handles, channels are plain `{ id, kind,
+// capacity }` handles resolved through the manager the Context owns (ctx.channels).
+// A channel buffers up to `capacity` values; `send` waits while the buffer is full
+// and `receive` while it is empty. With capacity 0 every send waits for a receiver.
+
+function channelClosed(handle) {
+  return new KernelError(`Channel ${handle.id} is closed`, { code: 'channel_closed' });
+}
+
+// Waits in `queue` until resolved by the other side, or removes itself when aborted.
+function enqueueWaiter(queue, waiter, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      const index = queue.indexOf(entry);
+      if (index !== -1) queue.splice(index, 1);
+      reject(signal.reason);
+    };
+    const settle = (fn) => (value) => {
+      signal?.removeEventListener('abort', onAbort);
+      fn(value);
+    };
+    const entry = { ...waiter, resolve: settle(resolve), reject: settle(reject) };
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    queue.push(entry);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export class ChannelManager {
+  constructor() {
+    this.channels = new Map();
+  }
+
+  create(opts = {}) {
+    const capacity = opts.capacity ?? 16;
+    if (!Number.isInteger(capacity) || capacity < 0) {
+      throw new Error('Channel capacity must be a non-negative integer');
+    }
+    const handle = { id: randomUUID(), kind: 'channel', capacity };
+    if (opts.name) handle.name = opts.name;
+    this.channels.set(handle.id, {
+      handle,
+      buffer: [],
+      senders: [],
+      receivers: [],
+      closed: false
+    });
+    return handle;
+  }
+
+  has(handle) {
+    return Boolean(handle && handle.kind === 'channel' && this.channels.has(handle.id));
+  }
+
+  _getEntry(handle) {
+    if (!handle || typeof handle.id !== 'string') throw new Error('Invalid channel handle');
+    const entry = this.channels.get(handle.id);
+    if (!entry) throw new Error(`Unknown channel handle: ${handle.id}`);
+    return entry;
+  }
+
+  async send(handle, value, { signal } = {}) {
+    const entry = this._getEntry(handle);
+    if (entry.closed) throw channelClosed(entry.handle);
+    const receiver = entry.receivers.shift();
+    if (receiver) {
+      receiver.resolve({ done: false, value });
+      return;
+    }
+    if (entry.buffer.length < entry.handle.capacity) {
+      entry.buffer.push(value);
+      return;
+    }
+    await enqueueWaiter(entry.senders, { value }, signal);
+  }
+
+  async receive(handle, { signal } = {}) {
+    const entry = this._getEntry(handle);
+    if (entry.buffer.length) {
+      const value = entry.buffer.shift();
+      // A blocked sender takes the freed slot.
+      const sender = entry.senders.shift();
+      if (sender) {
+        entry.buffer.push(sender.value);
+        sender.resolve();
+      }
+      return { done: false, value };
+    }
+    const sender = entry.senders.shift();
+    if (sender) {
+      sender.resolve();
+      return { done: false, value: sender.value };
+    }
+    if (entry.closed) return { done: true };
+    return enqueueWaiter(entry.receivers, {}, signal);
+  }
+
+  // Buffered values can still be received after close; blocked senders fail and
+  // blocked receivers see `done`.
+  close(handle) {
+    const entry = this._getEntry(handle);
+    if (entry.closed) return { closed: false };
+    entry.closed = true;
+    for (const sender of entry.senders.splice(0)) sender.reject(channelClosed(entry.handle));
+    for (const receiver of entry.receivers.splice(0)) receiver.resolve({ done: true });
+    return { closed: true };
+  }
+
+  stats(handle) {
+    const entry = this._getEntry(handle);
+    return {
+      buffered: entry.buffer.length,
+      waitingSenders: entry.senders.length,
+      waitingReceivers: entry.receivers.length,
+      closed: entry.closed
+    };
+  }
+}
+
+function channelOf(input, name) {
+  if (!input.channel) throw new Error(`${name}: \`channel\` handle required`);
+  return input.channel;
+}
+
+export async function flowChannelCreate(ctx, input = {}) {
+  return { channel: ctx.channels.create({ capacity: input.capacity, name: input.name }) };
+}
+
+export async function flowChannelSend(ctx, input = {}) {
+  ctx.ensureNotCancelled();
+  const channel = channelOf(input, 'flow/channel/send');
+  await ctx.channels.send(channel, input.value, { signal: ctx.signal });
+  return { sent: true };
+}
+
+export async function flowChannelReceive(ctx, input = {}) {
+  ctx.ensureNotCancelled();
+  const channel = channelOf(input, 'flow/channel/receive');
+  const { done, value } = await ctx.channels.receive(channel, { signal: ctx.signal });
+  return done ? { done: true, value: null } : { done: false, value };
+}
+
+export async function flowChannelClose(ctx, input = {}) {
+  return ctx.channels.close(channelOf(input, 'flow/channel/close'));
+}
@@ -1,3 +1,6 @@
+import { openSource, pull, closeSource } from './iterate.js';
+import { isSlotMissingError } from './utils.js';
+
 function getByPathRoot(rootObj, pathStr) {
   if (!pathStr || typeof pathStr !== 'string') return pathStr;
   const parts = pathStr.split('.');
@@ -9,24 +12,45 @@ function getByPathRoot(rootObj, pathStr) {
   return cur;
 }
 
-async function toArray(maybeIterable) {
-  if (!maybeIterable) return [];
-  if (Array.isArray(maybeIterable)) return maybeIterable;
-  if (typeof maybeIterable[Symbol.asyncIterator] === 'function') {
-    const collected = [];
-    for await (const item of maybeIterable) collected.push(item);
-    return collected;
-  }
-  if (typeof maybeIterable[Symbol.iterator] === 'function') {
-    return [...maybeIterable];
-  }
-  return [];
-}
-
 export async function flowForeach(ctx, input, meta) {
-  const list = await toArray(input?.list ?? input?.stream);
+  const source = openSource(ctx, input);
   const results = [];
-  if (list.length === 0) {
+  let index = 0;
+  let finished = false;
+  try {
+    while (true) {
+      ctx.ensureNotCancelled();
+      const next = await pull(ctx, source);
+      if (next.done) {
+        finished = true;
+        break;
+      }
+      const item = next.value;
+      const current = index;
+      index += 1;
+      try {
+        const iterState = await ctx.runSlot('body', undefined, { item, index: current });
+        const root = { $: iterState, $slot: { item, index: current } };
+        if (meta && meta.collectPath) {
+          const val = getByPathRoot(root, meta.collectPath);
+          if (typeof val !== 'undefined') {
+            results.push(val);
+          }
+        } else if (!source.handle) {
+          // Stream handles may be arbitrarily large: their items are only kept through collectPath.
+          results.push(item);
+        }
+      } catch (e) {
+        if (e && e.$signal === 'continue') continue;
+        if (e && e.$signal === 'break') break;
+        throw e;
+      }
+    }
+  } finally {
+    await closeSource(ctx, source, finished);
+  }
+
+  if (index === 0) {
     let elseState = {};
     try {
       elseState = await ctx.runSlot('else', undefined, { item: undefined, index: -1 });
@@ -39,36 +63,6 @@ export async function flowForeach(ctx, input, meta) {
       const val = getByPathRoot({ $: elseState, $slot: { item: undefined, index: -1 } }, meta.collectPath);
       if (typeof val !== 'undefined') results.push(val);
     }
-    return { results };
-  }
-  for (let index = 0; index < list.length; index++) {
-    ctx.ensureNotCancelled();
-    const item = list[index];
-    try {
-      const iterState = await ctx.runSlot('body', undefined, { item, index });
-      const root = { $: iterState, $slot: { item, index } };
-      // debug: uncomment for tracing
-      // console.error('foreach iter', { index, item, iterState });
-      if (meta && meta.collectPath) {
-        const val = getByPathRoot(root, meta.collectPath);
-        if (typeof val !== 'undefined') {
-          results.push(val);
-        }
-      } else {
-        results.push(item);
-      }
-    } catch (e) {
-      if (e && e.$signal === 'continue') continue;
-      if (e && e.$signal === 'break') break;
-      throw e;
-    }
   }
   return { results };
 }
-
-function isSlotMissingError(error) {
-  if (!error) return false;
-  const msg = error?.message;
-  if (typeof msg !== 'string') return false;
-  return msg.includes('Slot "') && msg.includes('not provided');
-}
@@ -1,3 +1,5 @@
+import { isSlotMissingError } from './utils.js';
+
 export async function flowIf(ctx, input, meta) {
   const cond = !!(input && input.cond);
   const slotName = cond ? 'then' : 'else';
@@ -11,9 +13,3 @@ export async function flowIf(ctx, input, meta) {
     throw err;
   }
 }
-
-function isSlotMissingError(error) {
-  if (!error) return false;
-  const msg = error?.message;
-  return typeof msg === 'string' && msg.includes('Slot "') && msg.includes('not provided');
-}
@@ -0,0 +1,107 @@
+import { StringDecoder } from 'node:string_decoder';
+
+// Lazy item sources shared by flow/foreach, flow/map and flow/reduce: `list` or
+// `stream` may be an array, any (async) iterable, a StreamManager handle or a
+// channel handle (see ./channel.js).
+
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+
+function isStreamHandle(ctx, value) {
+  return Boolean(
+    value && typeof value === 'object' && typeof value.id === 'string' &&
+    ctx.streams?.handles instanceof Map && ctx.streams.handles.has(value.id)
+  );
+}
+
+// Pulls a StreamManager handle `chunkSize` bytes at a time, yielding decoded chunks
+// or, with `lines`, one line at a time (parsed as JSON when `decode: json`).
+async function* readHandle(ctx, handle, input) {
+  const chunkSize = Number.isInteger(input.chunkSize) && input.chunkSize > 0 ? input.chunkSize : DEFAULT_CHUNK_SIZE;
+  if (!input.lines) {
+    while (true) {
+      const res = await ctx.streams.read(handle, { maxBytes: chunkSize, decode: input.decode });
+      if (res.done) return;
+      yield res.chunk;
+    }
+  }
+  const parse = input.decode === 'json' ? (line) => JSON.parse(line) : (line) => line;
+  // Multi-byte characters may straddle chunks, so bytes are decoded incrementally.
+  const decoder = new StringDecoder('utf8');
+  let carry = '';
+  const emit = (part) => {
+    const line = part.endsWith('\r') ? part.slice(0, -1) : part;
+    return input.decode === 'json' && line.trim() === '' ? [] : [parse(line)];
+  };
+  while (true) {
+    const res = await ctx.streams.read(handle, { maxBytes: chunkSize, decode: 'buffer' });
+    const text = res.done ? decoder.end() : decoder.write(res.chunk);
+    const parts = (carry + text).split('\n');
+    carry = parts.pop();
+    for (const part of parts) yield* emit(part);
+    if (res.done) {
+      if (carry) yield* emit(carry);
+      return;
+    }
+  }
+}
+
+// Receives until the channel is closed and drained. The channel itself is left
+// open on break: other consumers may still be reading from it.
+async function* receiveChannel(ctx, handle) {
+  while (true) {
+    const res = await ctx.channels.receive(handle, { signal: ctx.signal });
+    if (res.done) return;
+    yield res.value;
+  }
+}
+
+// Waits for the next item, giving up as soon as the run is cancelled or times out.
+export function pull(ctx, source) {
+  const next = Promise.resolve(source.iterator.next());
+  const signal = ctx.signal;
+  if (!signal) return next;
+  source.pending = true;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) onAbort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+    next.then(resolve, reject).finally(() => {
+      source.pending = false;
+      signal.removeEventListener('abort', onAbort);
+    });
+  });
+}
+
+// An iterator blocked in next() would only see return() once that read settles.
+async function stopIterator(source) {
+  if (typeof source.iterator.return !== 'function') return;
+  const stopped = Promise.resolve(source.iterator.return()).catch(() => {});
+  if (!source.pending) await stopped;
+}
+
+// Items are pulled on demand instead of draining the source up front.
+export function openSource(ctx, input) {
+  const raw = input?.list ?? input?.stream;
+  const source = { iterator: null, handle: null, pending: false };
+  if (ctx.channels?.has(raw)) {
+    source.iterator = receiveChannel(ctx, raw);
+  } else if (isStreamHandle(ctx, raw)) {
+    source.handle = raw;
+    source.iterator = readHandle(ctx, raw, input);
+  } else if (raw && typeof raw[Symbol.asyncIterator] === 'function') {
+    source.iterator = raw[Symbol.asyncIterator]();
+  } else if (raw && typeof raw[Symbol.iterator] === 'function') {
+    source.iterator = raw[Symbol.iterator]();
+  } else {
+    source.iterator = [][Symbol.iterator]();
+  }
+  return source;
+}
+
+export async function closeSource(ctx, source, exhausted) {
+  // Releasing the handle first unblocks a read still waiting on the underlying stream.
+  if (source.handle && ctx.streams.handles.has(source.handle.id)) {
+    await ctx.streams.close(source.handle);
+  }
+  if (!exhausted) await stopIterator(source);
+}
@@ -0,0 +1,114 @@
+import { getByPath } from './utils.js';
+import { openSource, pull, closeSource } from './iterate.js';
+
+function hasSlot(meta, name) {
+  return Boolean(meta?.children && Array.isArray(meta.children[name]) && meta.children[name].length);
+}
+
+function isTruthy(value) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0 && !Number.isNaN(value);
+  if (typeof value === 'string') return value.length > 0;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object') return Object.keys(value).length > 0;
+  return Boolean(value);
+}
+
+function readConcurrency(raw) {
+  if (raw === null || raw === undefined) return 1;
+  if (typeof raw !== 'number' || !Number.isInteger(raw) || raw < 1) {
+    throw new Error('flow/map: `concurrency` must be a positive integer');
+  }
+  return raw;
+}
+
+// The filter slot keeps an item when its state has a truthy `keep` (or `cond`/`value`).
+function interpretFilter(output) {
+  if (output == null) return false;
+  if (typeof output === 'object' && !Array.isArray(output)) {
+    const candidate = output.keep ?? output.cond ?? output.value;
+    if (candidate !== undefined) return isTruthy(candidate);
+    throw new Error('flow/map: filter slot must return an object with `keep`, `cond`, or `value`');
+  }
+  return isTruthy(output);
+}
+
+// Filters and maps one item; resolves to { keep, value } or { signal } for break/continue.
+async function mapItem(runner, meta, filter, slotVars) {
+  try {
+    if (filter) {
+      const filterState = await runner.runSlot('filter', undefined, slotVars);
+      if (!interpretFilter(filterState)) return { keep: false };
+    }
+    const iterState = await runner.runSlot('body', undefined, slotVars) || {};
+    const value = meta?.collectPath
+      ? getByPath({ $: iterState, $slot: slotVars }, meta.collectPath)
+      : iterState;
+    return { keep: true, value };
+  } catch (e) {
+    if (e && (e.$signal === 'continue' || e.$signal === 'break')) return { signal: e.$signal };
+    throw e;
+  }
+}
+
+export async function flowMap(ctx, input = {}, meta = {}) {
+  const concurrency = readConcurrency(input.concurrency);
+  const filter = hasSlot(meta, 'filter');
+  const source = openSource(ctx, input);
+  const outcomes = [];
+  const running = new Set();
+  let breakAt = Infinity;
+  let failure = null;
+  let index = 0;
+  let finished = false;
+
+  // With concurrency > 1 each item runs on its own branch of the context (see Context.fork).
+  const launch = (slotVars) => {
+    const entry = { branch: concurrency > 1 ? ctx.fork() : null, task: null };
+    running.add(entry);
+    entry.task = mapItem(entry.branch || ctx, meta, filter, slotVars)
+      .then((outcome) => {
+        if (outcome.signal === 'break') breakAt = Math.min(breakAt, slotVars.index);
+        outcomes[slotVars.index] = outcome;
+      }, (err) => {
+        if (!failure) {
+          failure = { error: err };
+          for (const other of running) other.branch?.cancel();
+        }
+      })
+      .finally(() => {
+        running.delete(entry);
+        entry.branch?.detach();
+      });
+  };
+
+  try {
+    while (!failure && index < breakAt) {
+      ctx.ensureNotCancelled();
+      if (running.size >= concurrency) {
+        await Promise.race([...running].map(entry => entry.task));
+        continue;
+      }
+      const next = await pull(ctx, source);
+      if (next.done) {
+        finished = true;
+        break;
+      }
+      launch({ item: next.value, index });
+      index += 1;
+      if (concurrency === 1) await Promise.all([...running].map(entry => entry.task));
+    }
+    await Promise.all([...running].map(entry => entry.task));
+  } finally {
+    await closeSource(ctx, source, finished);
+  }
+  if (failure) throw failure.error;
+
+  // Items after a break are dropped even if they already ran concurrently.
+  const results = [];
+  for (let i = 0; i < outcomes.length && i < breakAt; i += 1) {
+    if (outcomes[i]?.keep) results.push(outcomes[i].value);
+  }
+  return { results };
+}
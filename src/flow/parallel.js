@@ -1,29 +1,89 @@
 import { getByPath, normalizeError } from './utils.js';
+import { toKernelError } from '../errors.js';
 
 function hasSlot(meta, name) {
   return Boolean(meta?.children && Array.isArray(meta.children[name]) && meta.children[name].length);
 }
 
+function resolveConcurrency(input, total) {
+  // `parallelism` is the historical name of the limit.
+  const raw = Number(input.concurrency ?? input.parallelism);
+  if (!Number.isFinite(raw) || raw < 1) return total;
+  return Math.min(Math.floor(raw), total);
+}
+
+function resolveMode(input) {
+  const mode = input.mode ?? (input.failFast === false ? 'settleAll' : 'failFast');
+  if (mode !== 'failFast' && mode !== 'settleAll') {
+    throw new Error(`flow/parallel mode must be "failFast" or "settleAll" (got ${JSON.stringify(mode)})`);
+  }
+  return mode;
+}
+
 export async function flowParallel(ctx, input = {}, meta = {}) {
   const items = Array.isArray(input.tasks) ? input.tasks : [];
   const collectPath = meta.collectPath;
   const hasTasksSlot = hasSlot(meta, 'tasks');
   if (!hasTasksSlot) return { results: [] };
 
-  const results = [];
+  const mode = resolveMode(input);
+  const results = new Array(items.length).fill(null);
+  const errors = [];
+  if (items.length === 0) return mode === 'settleAll' ? { results, errors } : { results };
+
+  // Each task runs on its own branch of the context so that concurrent slot runs,
+  // cleanup scopes and deadlines stay independent.
+  const running = new Set();
+  let failure = null;
+  let next = 0;
 
-  for (let index = 0; index < items.length; index++) {
+  const runTask = async (index) => {
     const slotVars = { item: items[index], index };
+    const branch = ctx.fork();
+    running.add(branch);
     try {
-      const iterState = await ctx.runSlot('tasks', undefined, slotVars) || {};
+      const iterState = await branch.runSlot('tasks', undefined, slotVars) || {};
       results[index] = collectPath
         ? getByPath({ $: iterState, $slot: slotVars }, collectPath)
         : iterState;
     } catch (err) {
-      throw normalizeError(err);
+      // Flow signals and a cancelled or expired parent are not task failures: they
+      // stop the whole parallel in either mode.
+      const aborting = Boolean(err && err.$signal) || ctx.isCancelled() || Boolean(ctx.signal?.aborted);
+      if (mode === 'settleAll' && !aborting) {
+        if (!failure) errors.push({ index, error: normalizeError(err) });
+      } else if (!failure) {
+        failure = { error: err, aborting };
+        for (const other of running) {
+          if (other !== branch) other.cancel();
+        }
+      }
+    } finally {
+      running.delete(branch);
+      branch.detach();
     }
+  };
+
+  const worker = async () => {
+    while (next < items.length && !failure) {
+      const index = next;
+      next += 1;
+      await runTask(index);
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < resolveConcurrency(input, items.length); i += 1) {
+    workers.push(worker());
   }
+  // Siblings are cancelled on the first failure; wait for them so their cleanups run.
+  await Promise.all(workers);
 
+  // The failing task's error itself is rethrown; toKernelError only wraps non-errors.
+  if (failure) throw failure.aborting ? failure.error : toKernelError(failure.error);
+  if (mode === 'settleAll') {
+    errors.sort((a, b) => a.index - b.index);
+    return { results, errors };
+  }
   return { results };
 }
-
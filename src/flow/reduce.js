@@ -0,0 +1,45 @@
+import { getByPath } from './utils.js';
+import { openSource, pull, closeSource } from './iterate.js';
+
+// The body's new accumulator: `collectPath` when set, otherwise the `acc` key of its state.
+function readAccumulator(iterState, slotVars, meta, previous) {
+  if (meta?.collectPath) {
+    return getByPath({ $: iterState, $slot: slotVars }, meta.collectPath);
+  }
+  if (iterState && typeof iterState === 'object' && Object.prototype.hasOwnProperty.call(iterState, 'acc')) {
+    return iterState.acc;
+  }
+  return previous;
+}
+
+export async function flowReduce(ctx, input = {}, meta = {}) {
+  const source = openSource(ctx, input);
+  let acc = input.initial;
+  let index = 0;
+  let finished = false;
+  try {
+    while (true) {
+      ctx.ensureNotCancelled();
+      const next = await pull(ctx, source);
+      if (next.done) {
+        finished = true;
+        break;
+      }
+      const slotVars = { item: next.value, index, acc };
+      index += 1;
+      try {
+        // The body sees the enclosing state with `acc` pinned to the accumulator, so
+        // an outer `acc` is never read back when the body leaves it unset.
+        const iterState = await ctx.runSlot('body', (state) => ({ ...state, acc: slotVars.acc }), slotVars);
+        acc = readAccumulator(iterState, slotVars, meta, acc);
+      } catch (e) {
+        if (e && e.$signal === 'continue') continue;
+        if (e && e.$signal === 'break') break;
+        throw e;
+      }
+    }
+  } finally {
+    await closeSource(ctx, source, finished);
+  }
+  return { result: acc, iterations: index };
+}
@@ -7,16 +7,41 @@ import { flowBreak } from './break.js';
 import { flowContinue } from './continue.js';
 import { flowCheckAbort } from './check_abort.js';
 import { flowWhile } from './while.js';
+import { flowRetry } from './retry.js';
+import { flowSwitch } from './switch.js';
+import { flowReduce } from './reduce.js';
+import { flowMap } from './map.js';
+import { flowSleep } from './sleep.js';
+import { flowTimeout } from './timeout.js';
+import { flowSchedule } from './schedule.js';
+import { flowCache } from './cache.js';
+import { flowChannelCreate, flowChannelSend, flowChannelReceive, flowChannelClose } from './channel.js';
+
+// Slot names are declared so static checks (src/compose/lint.js) can validate composes.
+const slots = (...names) => ({ metadata: { slots: names } });
 
 export function registerFlowPrimitives(registry) {
-  registry.register('lcod://flow/if@1', flowIf);
-  registry.register('lcod://flow/foreach@1', flowForeach);
-  registry.register('lcod://flow/parallel@1', flowParallel);
-  registry.register('lcod://flow/try@1', flowTry);
+  registry.register('lcod://flow/if@1', flowIf, slots('then', 'else'));
+  registry.register('lcod://flow/foreach@1', flowForeach, slots('body', 'else'));
+  registry.register('lcod://flow/parallel@1', flowParallel, slots('tasks'));
+  registry.register('lcod://flow/try@1', flowTry, slots('children', 'catch', 'finally'));
   registry.register('lcod://flow/throw@1', flowThrow);
   registry.register('lcod://flow/break@1', flowBreak);
   registry.register('lcod://flow/continue@1', flowContinue);
   registry.register('lcod://flow/check_abort@1', flowCheckAbort);
-  registry.register('lcod://flow/while@1', flowWhile);
+  registry.register('lcod://flow/while@1', flowWhile, slots('condition', 'body', 'else'));
+  registry.register('lcod://flow/retry@1', flowRetry, slots('body', 'onRetry'));
+  // Case slots are named by the compose, so flow/switch declares none.
+  registry.register('lcod://flow/switch@1', flowSwitch);
+  registry.register('lcod://flow/reduce@1', flowReduce, slots('body'));
+  registry.register('lcod://flow/map@1', flowMap, slots('body', 'filter'));
+  registry.register('lcod://flow/sleep@1', flowSleep);
+  registry.register('lcod://flow/timeout@1', flowTimeout, slots('body', 'onTimeout'));
+  registry.register('lcod://flow/schedule@1', flowSchedule, slots('body'));
+  registry.register('lcod://flow/cache@1', flowCache, slots('body'));
+  registry.register('lcod://flow/channel/create@1', flowChannelCreate);
+  registry.register('lcod://flow/channel/send@1', flowChannelSend);
+  registry.register('lcod://flow/channel/receive@1', flowChannelReceive);
+  registry.register('lcod://flow/channel/close@1', flowChannelClose);
   return registry;
 }
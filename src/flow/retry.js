@@ -0,0 +1,93 @@
+import { normalizeError, sleep } from './utils.js';
+import { toKernelError } from '../errors.js';
+import { parseDuration } from '../duration.js';
+
+function hasSlot(meta, name) {
+  return Boolean(meta?.children && Array.isArray(meta.children[name]) && meta.children[name].length);
+}
+
+function readPositiveInteger(raw, name, fallback) {
+  if (raw === null || raw === undefined) return fallback;
+  if (typeof raw !== 'number' || !Number.isInteger(raw) || raw < 1) {
+    throw new Error(`flow/retry: \`${name}\` must be a positive integer`);
+  }
+  return raw;
+}
+
+function readDuration(raw, name, fallback) {
+  if (raw === null || raw === undefined) return fallback;
+  const ms = parseDuration(raw);
+  if (ms == null) {
+    throw new Error(`flow/retry: \`${name}\` must be a duration such as 250ms or 2s`);
+  }
+  return ms;
+}
+
+function readOptions(input) {
+  const backoff = input.backoff ?? 'exponential';
+  if (backoff !== 'exponential' && backoff !== 'fixed') {
+    throw new Error('flow/retry: `backoff` must be "exponential" or "fixed"');
+  }
+  const factor = input.factor ?? 2;
+  if (typeof factor !== 'number' || !Number.isFinite(factor) || factor < 1) {
+    throw new Error('flow/retry: `factor` must be a number >= 1');
+  }
+  const jitter = input.jitter ?? 0.1;
+  if (typeof jitter !== 'number' || !(jitter >= 0 && jitter <= 1)) {
+    throw new Error('flow/retry: `jitter` must be a number between 0 and 1');
+  }
+  const retryOn = input.retryOn == null ? null : [].concat(input.retryOn);
+  return {
+    maxAttempts: readPositiveInteger(input.maxAttempts, 'maxAttempts', 3),
+    backoff,
+    factor,
+    jitter,
+    delayMs: readDuration(input.delay ?? input.delayMs, 'delay', 100),
+    maxDelayMs: readDuration(input.maxDelay ?? input.maxDelayMs, 'maxDelay', 30_000),
+    retryOn
+  };
+}
+
+// Delay before the attempt that follows `attempt` (1-based), randomized by +/- jitter.
+function backoffDelay(options, attempt) {
+  const base = options.backoff === 'fixed'
+    ? options.delayMs
+    : options.delayMs * options.factor ** (attempt - 1);
+  const capped = Math.min(base, options.maxDelayMs);
+  const spread = capped * options.jitter * (Math.random() * 2 - 1);
+  return Math.max(0, Math.round(capped + spread));
+}
+
+function withHistory(err, history) {
+  const error = toKernelError(err);
+  error.attempts = history;
+  return error;
+}
+
+export async function flowRetry(ctx, input = {}, meta = {}) {
+  const options = readOptions(input);
+  const history = [];
+
+  for (let attempt = 1; ; attempt += 1) {
+    ctx.ensureNotCancelled();
+    try {
+      return await ctx.runSlot('body', undefined, { attempt, maxAttempts: options.maxAttempts }) || {};
+    } catch (err) {
+      // Flow signals, cancellation and expired deadlines are not failures of the body.
+      if (err && err.$signal) throw err;
+      if (ctx.isCancelled() || ctx.signal?.aborted) throw err;
+      const error = normalizeError(err);
+      const retryable = !options.retryOn || options.retryOn.includes(error.code);
+      if (!retryable || attempt >= options.maxAttempts) {
+        history.push({ attempt, error });
+        throw withHistory(err, history);
+      }
+      const delayMs = backoffDelay(options, attempt);
+      history.push({ attempt, error, delayMs });
+      if (hasSlot(meta, 'onRetry')) {
+        await ctx.runSlot('onRetry', undefined, { attempt, error, delayMs });
+      }
+      await sleep(ctx, delayMs);
+    }
+  }
+}
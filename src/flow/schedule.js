@@ -0,0 +1,98 @@
+import { normalizeError, sleep } from './utils.js';
+import { parseDuration } from '../duration.js';
+import { parseCron, nextCronTime } from '../cron.js';
+import { logKernelError, logKernelWarn } from '../tooling/logging.js';
+
+let scheduleCounter = 0;
+
+function readOptions(input) {
+  if ((input.every == null) === (input.cron == null)) {
+    throw new Error('flow/schedule: set exactly one of `every` or `cron`');
+  }
+  const everyMs = input.every == null ? null : parseDuration(input.every);
+  if (input.every != null && !(everyMs > 0)) {
+    throw new Error('flow/schedule: `every` must be a positive duration such as 500ms or 1m');
+  }
+  const maxRuns = input.maxRuns ?? Infinity;
+  if (maxRuns !== Infinity && (!Number.isInteger(maxRuns) || maxRuns < 1)) {
+    throw new Error('flow/schedule: `maxRuns` must be a positive integer');
+  }
+  const onError = input.onError ?? 'stop';
+  if (onError !== 'stop' && onError !== 'continue') {
+    throw new Error('flow/schedule: `onError` must be "stop" or "continue"');
+  }
+  return {
+    everyMs,
+    cron: input.cron == null ? null : parseCron(input.cron),
+    // Intervals fire right away unless told otherwise; cron waits for its next match.
+    immediate: input.immediate ?? true,
+    maxRuns,
+    onError,
+    background: input.background === true
+  };
+}
+
+function firstRunAt(options) {
+  if (options.cron) return nextCronTime(options.cron)?.getTime() ?? null;
+  return Date.now() + (options.immediate ? 0 : options.everyMs);
+}
+
+// Runs never overlap: an interval run that overruns its period starts the next one late.
+function nextRunAt(options, previous) {
+  if (options.cron) return nextCronTime(options.cron)?.getTime() ?? null;
+  return Math.max(previous + options.everyMs, Date.now());
+}
+
+async function runLoop(ctx, options, { ref }) {
+  let runs = 0;
+  let at = firstRunAt(options);
+  while (at != null && runs < options.maxRuns) {
+    await sleep(ctx, at - Date.now(), { ref });
+    runs += 1;
+    try {
+      await ctx.runSlot('body', undefined, { run: runs, scheduledAt: new Date(at).toISOString() });
+    } catch (err) {
+      if (err && err.$signal === 'break') break;
+      if (!(err && err.$signal === 'continue')) {
+        if (options.onError === 'stop' || ctx.isCancelled() || ctx.signal?.aborted) throw err;
+        await logKernelWarn(ctx, 'flow/schedule run failed', {
+          data: { run: runs, error: normalizeError(err) }
+        });
+      }
+    }
+    at = nextRunAt(options, at);
+  }
+  return runs;
+}
+
+export async function flowSchedule(ctx, input = {}) {
+  const options = readOptions(input);
+  if (!options.background) {
+    return { runs: await runLoop(ctx, options, { ref: true }) };
+  }
+
+  // Background schedules run on a branch that outlives the step: it keeps this
+  // step's slot runner (ctx.runSlot is restored once the step returns) and stops
+  // when the branch or the whole run is cancelled. Its timers do not hold the
+  // process open, so it only keeps running next to something that does (http_host).
+  scheduleCounter += 1;
+  const scheduleId = `schedule-${scheduleCounter}`;
+  const branch = ctx.fork();
+  branch.runSlot = ctx.runSlot;
+  branch.runChildren = ctx.runChildren;
+  const done = runLoop(branch, options, { ref: false })
+    .catch(async (err) => {
+      if (branch.isCancelled()) return;
+      await logKernelError(ctx, 'flow/schedule stopped', {
+        data: { scheduleId, error: normalizeError(err) }
+      });
+    })
+    .finally(() => branch.detach());
+  return {
+    scheduleId,
+    stop: async () => {
+      branch.cancel();
+      await done;
+    }
+  };
+}
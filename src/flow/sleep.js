@@ -0,0 +1,12 @@
+import { sleep } from './utils.js';
+import { parseDuration } from '../duration.js';
+
+export async function flowSleep(ctx, input = {}) {
+  const raw = input.ms ?? input.duration;
+  const ms = parseDuration(raw ?? 0);
+  if (ms == null) {
+    throw new Error('flow/sleep: `ms` must be a duration such as 250ms or 2s');
+  }
+  await sleep(ctx, ms);
+  return { sleptMs: ms };
+}
@@ -0,0 +1,70 @@
+import { isDeepStrictEqual } from 'node:util';
+import { getValidator } from '../validate.js';
+import { isSlotMissingError } from './utils.js';
+
+const DEFAULT_SLOT = 'default';
+// Case inputs are rebuilt on every call, so compiled schemas are keyed by content.
+const schemaValidators = new Map();
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+async function matchesSchema(schema, value) {
+  const key = JSON.stringify(schema);
+  let validate = schemaValidators.get(key);
+  if (!validate) {
+    validate = await getValidator(schema);
+    schemaValidators.set(key, validate);
+  }
+  return Boolean(validate(value));
+}
+
+// A case is `{ equals }`, `{ in: [...] }`, `{ schema }`, a list of values or a plain value.
+async function caseMatches(matcher, value) {
+  if (Array.isArray(matcher)) return matcher.some(candidate => isDeepStrictEqual(candidate, value));
+  if (isPlainObject(matcher) && Object.keys(matcher).length === 1) {
+    if ('equals' in matcher) return isDeepStrictEqual(matcher.equals, value);
+    if ('in' in matcher) {
+      if (!Array.isArray(matcher.in)) throw new Error('flow/switch: `in` case must be a list of values');
+      return matcher.in.some(candidate => isDeepStrictEqual(candidate, value));
+    }
+    if ('schema' in matcher) return matchesSchema(matcher.schema, value);
+  }
+  return isDeepStrictEqual(matcher, value);
+}
+
+function listCaseSlots(meta) {
+  const slots = meta?.slots || meta?.children;
+  if (!isPlainObject(slots)) return [];
+  // `children` only mirrors `body` (see compileStep); it is not a case of its own.
+  return Object.keys(slots).filter(name => name !== DEFAULT_SLOT && !(name === 'children' && slots.body));
+}
+
+async function selectCase(input, meta) {
+  const value = input.value;
+  const cases = input.cases == null ? {} : input.cases;
+  if (!isPlainObject(cases)) throw new Error('flow/switch: `cases` must be an object of case name -> matcher');
+  for (const [name, matcher] of Object.entries(cases)) {
+    if (await caseMatches(matcher, value)) return name;
+  }
+  // Slots without an explicit matcher match a value equal to their name.
+  for (const name of listCaseSlots(meta)) {
+    if (!Object.prototype.hasOwnProperty.call(cases, name) && name === value) return name;
+  }
+  return DEFAULT_SLOT;
+}
+
+export async function flowSwitch(ctx, input = {}, meta = {}) {
+  const selected = await selectCase(input, meta);
+  const slotVars = { value: input.value, case: selected };
+  try {
+    const branchState = await ctx.runSlot(selected, undefined, slotVars);
+    return { ...(branchState ?? {}), case: selected };
+  } catch (err) {
+    if (selected === DEFAULT_SLOT && isSlotMissingError(err)) {
+      return { case: null };
+    }
+    throw err;
+  }
+}
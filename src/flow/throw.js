@@ -1,11 +1,8 @@
+import { KernelError } from '../errors.js';
+
 export async function flowThrow(_ctx, input = {}) {
   const message = typeof input.message === 'string' && input.message.length ? input.message : 'Flow throw';
   const code = typeof input.code === 'string' && input.code.length ? input.code : 'flow_throw';
-  const error = new Error(message);
-  error.code = code;
-  if (Object.prototype.hasOwnProperty.call(input, 'data')) {
-    error.data = input.data;
-  }
-  throw error;
+  const data = Object.prototype.hasOwnProperty.call(input, 'data') ? input.data : undefined;
+  throw new KernelError(message, { code, data });
 }
-
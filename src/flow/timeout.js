@@ -0,0 +1,32 @@
+import { normalizeError } from './utils.js';
+import { parseDuration } from '../duration.js';
+
+function hasSlot(meta, name) {
+  return Boolean(meta?.children && Array.isArray(meta.children[name]) && meta.children[name].length);
+}
+
+export async function flowTimeout(ctx, input = {}, meta = {}) {
+  const ms = parseDuration(input.ms ?? input.duration);
+  if (ms == null) {
+    throw new Error('flow/timeout: `ms` must be a duration such as 250ms or 2s');
+  }
+  // The body runs on a branch that is cancelled when time runs out, so it stops at
+  // its next step instead of running on behind the onTimeout slot.
+  const branch = ctx.fork();
+  let frame = null;
+  try {
+    return await branch.withTimeout(ms, () => {
+      frame = branch._deadlineFrame;
+      return branch.runSlot('body');
+    }, 'flow/timeout') || {};
+  } catch (err) {
+    branch.cancel();
+    // Only the expiry of this frame is ours, however the body reports it: a nested
+    // step timeout or flow/timeout, an enclosing deadline or a cancellation propagates.
+    const ownDeadline = Boolean(frame?.expired) && !ctx.isCancelled() && ctx.remainingMs() > 0;
+    if (!ownDeadline || !hasSlot(meta, 'onTimeout')) throw err;
+    return await ctx.runSlot('onTimeout', undefined, { timeoutMs: ms, error: normalizeError(err) }) || {};
+  } finally {
+    branch.detach();
+  }
+}
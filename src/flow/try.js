@@ -1,4 +1,5 @@
 import { normalizeError } from './utils.js';
+import { toKernelError } from '../errors.js';
 
 function hasSlot(meta, name) {
   return Boolean(meta?.children && Array.isArray(meta.children[name]) && meta.children[name].length);
@@ -7,28 +8,41 @@ function hasSlot(meta, name) {
 export async function flowTry(ctx, _input = {}, meta = {}) {
   let resultState = {};
   let pendingError = null;
+  // The original error is rethrown (see toKernelError) so its class, fields and
+  // compose stack survive; only thrown values that are not errors get wrapped.
+  let rawError = null;
+  // Report of the compensations run after a failure (see Context._popCompensations).
+  let compensation = null;
 
+  // The body is a saga scope: steps with a `compensate` slot are undone if it fails.
+  ctx._pushCompensations();
   try {
     resultState = await ctx.runSlot('children', undefined, { phase: 'try' }) || {};
+    await ctx._popCompensations(false);
   } catch (err) {
+    compensation = await ctx._popCompensations(!(err && err.$signal));
     pendingError = normalizeError(err);
+    rawError = err;
     if (hasSlot(meta, 'catch')) {
       try {
-        resultState = await ctx.runSlot('catch', undefined, { error: pendingError, phase: 'catch' }) || {};
+        resultState = await ctx.runSlot('catch', undefined, { error: pendingError, phase: 'catch', compensation }) || {};
         pendingError = null;
       } catch (catchErr) {
         pendingError = normalizeError(catchErr);
+        rawError = catchErr;
       }
     }
   } finally {
     if (hasSlot(meta, 'finally')) {
-      const finallyState = await ctx.runSlot('finally', undefined, { phase: 'finally', error: pendingError }) || {};
+      const finallyState = await ctx.runSlot('finally', undefined, { phase: 'finally', error: pendingError, compensation }) || {};
       resultState = { ...resultState, ...finallyState };
     }
   }
 
   if (pendingError) {
-    throw pendingError;
+    const error = toKernelError(rawError);
+    if (compensation) error.compensation = compensation;
+    throw error;
   }
 
   return resultState;
@@ -1,3 +1,5 @@
+import { serializeError } from '../errors.js';
+
 export function getByPath(rootObj, pathStr) {
   if (!pathStr || typeof pathStr !== 'string') return pathStr;
   const parts = pathStr.split('.');
@@ -23,9 +25,39 @@ export function normalizeError(err) {
     const data = Object.prototype.hasOwnProperty.call(err, 'data') ? err.data : undefined;
     const normalized = { code, message };
     if (data !== undefined) normalized.data = data;
+    // Kernel errors also carry where they happened and what caused them (see src/errors.js).
+    const { cause, composeStack } = serializeError(err);
+    if (cause) normalized.cause = cause;
+    if (composeStack) normalized.composeStack = composeStack;
     return normalized;
   }
   const message = typeof err === 'string' ? err : 'Unexpected error';
   return { code: 'unexpected_error', message };
 }
 
+// runSlot throws this when the compose does not provide an optional slot.
+export function isSlotMissingError(error) {
+  const msg = error?.message;
+  return typeof msg === 'string' && msg.includes('Slot "') && msg.includes('not provided');
+}
+
+
+// Waits `ms` milliseconds, rejecting early when the context is cancelled or its deadline expires.
+// With `ref: false` the timer does not keep the process alive (background work).
+export function sleep(ctx, ms, { ref = true } = {}) {
+  ctx.ensureNotCancelled();
+  const signal = ctx.signal;
+  if (!(ms > 0)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason ?? new Error('Sleep aborted'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (!ref) timer.unref?.();
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -1,7 +1,14 @@
 import http from 'node:http';
 import { URL } from 'node:url';
 import { Context } from '../registry.js';
-import { runCompose } from '../compose.js';
+import { runCompose, loadComposePlan } from '../compose.js';
+import { runSteps } from '../compose/runtime.js';
+import { serializeError } from '../errors.js';
+import { Router, parseRoutePattern, normalizeMethod } from './router.js';
+import { readRouteSchemas, compileRouteSchemas, validateRequest, validateResponse } from './schemas.js';
+import { buildOpenApiDocument, OPENAPI_PATH } from './openapi.js';
+import { logKernelError, logKernelInfo, logKernelWarn } from '../tooling/logging.js';
+import { readRequestBody, writeResponse } from './streaming.js';
 
 function normalizeSegment(segment) {
   if (segment == null) return '';
@@ -34,20 +41,22 @@ function collectSlotResults(state, key) {
   return results;
 }
 
-async function executeHandler(registry, handlerDescriptor, requestContext, routeMeta) {
+// `payload` is `{ request }`, plus `response` for middleware onResponse handlers.
+// Every handler of a request runs on that request's context, which owns its
+// stream handles and channels.
+async function executeHandler(ctx, handlerDescriptor, payload, routeMeta) {
   if (!handlerDescriptor || typeof handlerDescriptor !== 'object') {
     throw new Error('Invalid handler descriptor');
   }
   const type = handlerDescriptor.type || 'script';
-  const meta = { route: routeMeta, request: requestContext };
+  const meta = { route: routeMeta, request: payload.request };
   if (type === 'script') {
     const source = handlerDescriptor.source;
     if (typeof source !== 'string' || !source.trim()) {
       throw new Error('Script handler must define a source');
     }
     const bindings = handlerDescriptor.bindings || {};
-    const input = handlerDescriptor.input ?? { request: requestContext };
-    const ctx = new Context(registry);
+    const input = handlerDescriptor.input ?? payload;
     return ctx.call('lcod://tooling/script@1', {
       source,
       bindings,
@@ -60,8 +69,7 @@ async function executeHandler(registry, handlerDescriptor, requestContext, route
     if (typeof target !== 'string') {
       throw new Error('Component handler must provide call/component string');
     }
-    const input = handlerDescriptor.input ?? { request: requestContext };
-    const ctx = new Context(registry);
+    const input = handlerDescriptor.input ?? payload;
     return ctx.call(target, input, meta);
   }
   if (type === 'compose') {
@@ -70,22 +78,181 @@ async function executeHandler(registry, handlerDescriptor, requestContext, route
       throw new Error('Compose handler requires compose array');
     }
     const initial = {
-      request: requestContext,
+      ...payload,
       ...(handlerDescriptor.initialState && typeof handlerDescriptor.initialState === 'object'
         ? handlerDescriptor.initialState
         : {})
     };
-    const ctx = new Context(registry);
     return runCompose(ctx, steps, initial);
   }
   throw new Error(`Unsupported handler type: ${type}`);
 }
 
+function normalizeResponse(result) {
+  return {
+    status: Number(result?.status) || 200,
+    headers: result?.headers && typeof result.headers === 'object'
+      ? { ...result.headers }
+      : { 'content-type': 'application/json' },
+    body: result?.body
+  };
+}
+
+// Middlewares are sequences referenced by id (or `{ sequenceId }`), project ones first.
+function resolveMiddlewares(refs, seqMap, owner) {
+  return refs.map((ref) => {
+    const id = typeof ref === 'string' ? ref : ref?.sequenceId;
+    const sequence = seqMap.get(id);
+    if (!sequence) throw new Error(`Middleware sequence not found for ${owner}: ${id}`);
+    if (!sequence.handler && !sequence.onResponse) {
+      throw new Error(`Middleware sequence ${id} defines neither handler nor onResponse`);
+    }
+    return sequence;
+  });
+}
+
+const SSE_HEADERS = {
+  'content-type': 'text/event-stream',
+  'cache-control': 'no-cache',
+  connection: 'keep-alive'
+};
+
+// An `sse` route answers right away while its handler keeps running and sends
+// events through `request.events`; the stream ends when the handler returns.
+function startEventStream(ctx, entry, request, routeMeta) {
+  const channel = ctx.channels.create({ capacity: 16 });
+  const done = executeHandler(ctx, entry.sequence.handler, { request: { ...request, events: channel } }, routeMeta)
+    .then(() => null, err => err)
+    .finally(() => ctx.channels.close(channel));
+  return { request, response: normalizeResponse({ status: 200, headers: SSE_HEADERS }), events: { channel, done } };
+}
+
+// The handler only runs on a request matching the route schemas (400 otherwise);
+// in dev mode its response is checked against the declared response schemas and
+// a mismatch is logged, or replaced by a 500 with `strictResponses`.
+async function runHandler(ctx, entry, request, routeMeta, options) {
+  const checked = validateRequest(entry.validation, request);
+  if (checked.errors) {
+    return { request, response: normalizeResponse({ status: 400, body: { error: 'Invalid request', details: checked.errors } }) };
+  }
+  if (entry.route.sse) return startEventStream(ctx, entry, checked.request, routeMeta);
+  const result = await executeHandler(ctx, entry.sequence.handler, { request: checked.request }, routeMeta);
+  const response = normalizeResponse(result);
+  if (options.dev || options.strictResponses) {
+    const problems = validateResponse(entry.validation, response);
+    if (problems.length) {
+      await logKernelWarn(ctx, 'http response does not match its schema', {
+        data: { method: entry.method, path: entry.fullPath, status: response.status, problems }
+      });
+      if (options.strictResponses) {
+        return { request: checked.request, response: normalizeResponse({ status: 500, body: { error: 'Invalid response', details: problems } }) };
+      }
+    }
+  }
+  return { request: checked.request, response };
+}
+
+// Runs the middlewares in order, then the handler, then the middlewares'
+// onResponse handlers in reverse order. A middleware returning `request` enriches
+// the request seen by the next ones; returning `response` skips the rest of the
+// chain and the handler (the middlewares that already ran still post-process it).
+async function runPipeline(ctx, entry, request, options = {}) {
+  const routeMeta = { project: entry.project, route: entry.route };
+  const ran = [];
+  let response = null;
+  let events = null;
+  for (const middleware of entry.middlewares) {
+    ran.push(middleware);
+    if (!middleware.handler) continue;
+    const result = await executeHandler(ctx, middleware.handler, { request }, routeMeta);
+    if (result?.request && typeof result.request === 'object') request = { ...request, ...result.request };
+    if (result?.response) {
+      response = normalizeResponse(result.response);
+      break;
+    }
+  }
+  if (!response) {
+    ({ request, response, events = null } = await runHandler(ctx, entry, request, routeMeta, options));
+  }
+  for (const middleware of ran.reverse()) {
+    if (!middleware.onResponse) continue;
+    const result = await executeHandler(ctx, middleware.onResponse, { request, response }, routeMeta);
+    if (result?.response) response = normalizeResponse(result.response);
+  }
+  return { response, events };
+}
+
+// Resolves the projects slot state into the router and summaries of a host.
+async function buildRouteTable(projectState, basePath) {
+  const rawProjects = collectSlotResults(projectState, 'project');
+  if (rawProjects.length === 0 && projectState && typeof projectState === 'object') {
+    rawProjects.push(projectState);
+  }
+
+  const router = new Router();
+  const routeEntries = [];
+  const outputRoutes = [];
+  const projectSummaries = [];
+
+  for (const entry of rawProjects) {
+    if (!entry) continue;
+    const project = entry.project || entry;
+    const routes = entry.routes || [];
+    const sequences = entry.sequences || [];
+
+    const seqMap = new Map();
+    for (const seq of sequences) {
+      if (seq && seq.id) seqMap.set(seq.id, seq);
+    }
+
+    const projectBase = joinPaths(basePath, project.basePath || '/');
+    projectSummaries.push({ name: project.name, basePath: project.basePath, metadata: project.metadata });
+
+    for (const route of routes) {
+      if (!route || !route.sequenceId) continue;
+      const method = normalizeMethod(route.method);
+      const fullPath = joinPaths(projectBase, route.path || '/');
+      const sequence = seqMap.get(route.sequenceId);
+      if (!sequence) {
+        throw new Error(`Sequence not found for route ${route.sequenceId}`);
+      }
+      const middlewares = resolveMiddlewares(
+        [...(project.middlewares || []), ...(route.middlewares || [])],
+        seqMap,
+        `${method} ${fullPath}`
+      );
+      const routeEntry = {
+        method,
+        fullPath,
+        project,
+        route,
+        sequence,
+        middlewares,
+        validation: await compileRouteSchemas(route)
+      };
+      router.add(method, fullPath, routeEntry);
+      routeEntries.push(routeEntry);
+      const handlerId = sequence.id || route.sequenceId;
+      outputRoutes.push({
+        method,
+        path: fullPath,
+        handlerId,
+        sequenceId: route.sequenceId,
+        project: project.name
+      });
+    }
+  }
+
+  return { router, entries: routeEntries, routes: outputRoutes, projects: projectSummaries };
+}
+
 export function registerHttpContracts(registry) {
   registry.register('lcod://http/api_route@0.1.0', async (_ctx, input = {}) => {
     if (!input.sequenceId) throw new Error('sequenceId is required for http/api_route');
-    const method = (input.method || 'GET').toUpperCase();
+    const method = normalizeMethod(input.method);
     const path = joinPaths(input.path || '/');
+    // Reject malformed patterns where the route is declared rather than at host startup.
+    parseRoutePattern(path);
     const route = {
       method,
       path,
@@ -93,6 +260,16 @@ export function registerHttpContracts(registry) {
       description: input.description,
     };
     if (Array.isArray(input.middlewares)) route.middlewares = [...input.middlewares];
+    if (input.requestBody != null) {
+      if (input.requestBody !== 'buffer' && input.requestBody !== 'stream') {
+        throw new Error('http/api_route requestBody must be "buffer" or "stream"');
+      }
+      route.requestBody = input.requestBody;
+    }
+    if (input.sse === true) route.sse = true;
+    const { schemas, responses } = readRouteSchemas(input);
+    if (schemas) route.schemas = schemas;
+    if (responses) route.responses = responses;
     return { route };
   });
 
@@ -103,6 +280,7 @@ export function registerHttpContracts(registry) {
       basePath: joinPaths(input.basePath || '/'),
       metadata: input.metadata || {}
     };
+    if (Array.isArray(input.middlewares)) projectMeta.middlewares = [...input.middlewares];
 
     const seqState = await ctx.runSlot('sequences', { project: projectMeta }, { project: projectMeta });
     const sequences = Array.isArray(seqState?.sequences)
@@ -135,86 +313,53 @@ export function registerHttpContracts(registry) {
       return `/${normalized}`;
     })();
     const metadata = input.metadata || {};
+    // Dev mode also checks handler responses against their route schemas;
+    // strictResponses checks them in any mode and answers a mismatch with a 500.
+    const dev = input.dev ?? process.env.NODE_ENV === 'development';
+    const strictResponses = Boolean(input.strictResponses);
+    const openapiPath = input.openapi === false ? null : joinPaths(basePath, OPENAPI_PATH);
 
-    const projectState = await ctx.runSlot('projects', {}, { host: { host, port, basePath, metadata } });
-    const rawProjects = collectSlotResults(projectState, 'project');
-    if (rawProjects.length === 0 && projectState && typeof projectState === 'object') {
-      rawProjects.push(projectState);
-    }
-
-    const routeHandlers = new Map();
-    const outputRoutes = [];
-    const projectSummaries = [];
-
-    for (const entry of rawProjects) {
-      if (!entry) continue;
-      const project = entry.project || entry;
-      const routes = entry.routes || [];
-      const sequences = entry.sequences || [];
-
-      const seqMap = new Map();
-      for (const seq of sequences) {
-        if (seq && seq.id) seqMap.set(seq.id, seq);
-      }
-
-      const projectBase = joinPaths(basePath, project.basePath || '/');
-      projectSummaries.push({ name: project.name, basePath: project.basePath, metadata: project.metadata });
-
-      for (const route of routes) {
-        if (!route || !route.sequenceId) continue;
-        const method = (route.method || 'GET').toUpperCase();
-        const fullPath = joinPaths(projectBase, route.path || '/');
-        const key = `${method} ${fullPath}`;
-        const sequence = seqMap.get(route.sequenceId);
-        if (!sequence) {
-          throw new Error(`Sequence not found for route ${route.sequenceId}`);
-        }
-        if (routeHandlers.has(key)) {
-          throw new Error(`Duplicate route registered: ${key}`);
-        }
-        routeHandlers.set(key, {
-          method,
-          fullPath,
-          project,
-          route,
-          sequence
-        });
-        const handlerId = sequence.id || route.sequenceId;
-        outputRoutes.push({
-          method,
-          path: fullPath,
-          handlerId,
-          sequenceId: route.sequenceId,
-          project: project.name
-        });
-      }
-    }
+    const slotVars = { host: { host, port, basePath, metadata } };
+    // ctx.runSlot is restored once this step returns; reloads keep using this one.
+    const projectsSlot = ctx.runSlot;
+    // The route table is replaced as a whole on reload; a request keeps the table
+    // it was matched against.
+    let table = await buildRouteTable(await ctx.runSlot('projects', {}, slotVars), basePath);
 
     const server = http.createServer(async (req, res) => {
+      const requestCtx = new Context(ctx.registry);
+      // A client that goes away cancels whatever its request is still running.
+      res.on('close', () => {
+        if (!res.writableFinished) requestCtx.cancel();
+      });
+      let requestBody;
       try {
         const method = req.method?.toUpperCase() || 'GET';
         const parsed = new URL(req.url || '/', `http://${req.headers.host || `${host}:${port}`}`);
         const pathname = parsed.pathname.replace(/\/+$/u, '') || '/';
-        const key = `${method} ${pathname}`;
-        const entry = routeHandlers.get(key);
-        if (!entry) {
-          res.writeHead(404, { 'content-type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Not found' }));
+        if (openapiPath && method === 'GET' && pathname === openapiPath) {
+          const document = buildOpenApiDocument(table.entries, {
+            title: metadata.title,
+            version: metadata.version,
+            projects: table.projects
+          });
+          res.writeHead(200, { 'content-type': 'application/json' });
+          res.end(JSON.stringify(document));
           return;
         }
-
-        const chunks = [];
-        for await (const chunk of req) chunks.push(chunk);
-        const rawBody = Buffer.concat(chunks);
-        let parsedBody = rawBody.length ? rawBody : undefined;
-        const contentType = req.headers['content-type'] || '';
-        if (parsedBody && /^application\/json/u.test(contentType)) {
-          try {
-            parsedBody = JSON.parse(rawBody.toString('utf8'));
-          } catch (_err) {
-            // keep raw body if parse fails
-          }
+        const match = table.router.match(method, pathname);
+        if (!match || !match.route) {
+          const status = match ? 405 : 404;
+          const headers = { 'content-type': 'application/json' };
+          if (match) headers.allow = match.allowed.join(', ');
+          res.writeHead(status, headers);
+          res.end(JSON.stringify({ error: match ? 'Method not allowed' : 'Not found' }));
+          return;
         }
+        const entry = match.route.value;
+
+        const { body: parsedBody, rawBody } = await readRequestBody(requestCtx, req, entry.route);
+        requestBody = parsedBody;
 
         const addressInfo = server.address();
         const resolvedPort = typeof addressInfo === 'object' && addressInfo ? addressInfo.port : port;
@@ -223,9 +368,10 @@ export function registerHttpContracts(registry) {
           path: pathname,
           url: parsed.pathname && parsed.search ? `${pathname}${parsed.search}` : pathname,
           query: Object.fromEntries(parsed.searchParams.entries()),
+          params: match.params,
           headers: req.headers,
           body: parsedBody,
-          rawBody: rawBody.length ? rawBody : undefined,
+          rawBody,
           host: {
             name: host,
             port: resolvedPort,
@@ -235,31 +381,20 @@ export function registerHttpContracts(registry) {
           route: entry.route
         };
 
-        const result = await executeHandler(
-          ctx.registry,
-          entry.sequence.handler,
-          requestContext,
-          { project: entry.project, route: entry.route }
-        );
-        const status = Number(result?.status) || 200;
-        const headers = result?.headers && typeof result.headers === 'object'
-          ? { ...result.headers }
-          : { 'content-type': 'application/json' };
-        const body = result?.body;
-
-        res.writeHead(status, headers);
-        if (body == null) {
-          res.end();
-        } else if (Buffer.isBuffer(body) || typeof body === 'string') {
-          res.end(body);
-        } else if (typeof body === 'object') {
-          res.end(JSON.stringify(body));
+        const { response, events } = await runPipeline(requestCtx, entry, requestContext, { dev, strictResponses });
+        await writeResponse(requestCtx, res, { ...response, events });
+      } catch (err) {
+        if (res.headersSent) {
+          res.destroy(err);
         } else {
-          res.end(String(body));
+          res.writeHead(500, { 'content-type': 'application/json' });
+          res.end(JSON.stringify({ error: err.message }));
+        }
+      } finally {
+        // A streamed request body the handler did not close is released here.
+        if (requestBody?.id && requestCtx.streams.handles.has(requestBody.id)) {
+          await requestCtx.streams.close(requestBody).catch(() => {});
         }
-      } catch (err) {
-        res.writeHead(500, { 'content-type': 'application/json' });
-        res.end(JSON.stringify({ error: err.message }));
       }
     });
 
@@ -294,12 +429,43 @@ export function registerHttpContracts(registry) {
     };
     server.on('close', () => { closed = true; });
 
-    return {
+    const hostResult = {
       url,
-      routes: outputRoutes,
-      projects: projectSummaries,
+      routes: table.routes,
+      projects: table.projects,
       server,
       stop
     };
+
+    // Re-evaluates the projects slot (or `projectSteps`, the projects slot of a
+    // re-read compose) and swaps the route table in one go. On failure the error
+    // is logged and the previous routes stay in service.
+    const reloadOnce = async (projectSteps) => {
+      const branch = ctx.fork();
+      branch.runSlot = projectsSlot;
+      try {
+        const projectState = Array.isArray(projectSteps)
+          ? await runSteps(branch, (await loadComposePlan(branch, projectSteps)).steps, {}, slotVars)
+          : await branch.runSlot('projects', {}, slotVars);
+        table = await buildRouteTable(projectState, basePath);
+        hostResult.routes = table.routes;
+        hostResult.projects = table.projects;
+        await logKernelInfo(ctx, 'http_host routes reloaded', { data: { url, routes: table.routes.length } });
+        return { reloaded: true, routes: table.routes };
+      } catch (err) {
+        await logKernelError(ctx, 'http_host reload failed, keeping the previous routes', {
+          data: { url, error: serializeError(err) }
+        });
+        return { reloaded: false, error: serializeError(err) };
+      } finally {
+        branch.detach();
+      }
+    };
+    let reloading = Promise.resolve();
+    hostResult.reload = (projectSteps) => {
+      reloading = reloading.then(() => reloadOnce(projectSteps));
+      return reloading;
+    };
+    return hostResult;
   });
 }
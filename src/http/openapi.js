@@ -0,0 +1,109 @@
+import { parseRoutePattern } from './router.js';
+
+// OpenAPI 3.1 description of the routes served by an env/http_host.
+
+export const OPENAPI_PATH = '/_lcod/openapi.json';
+
+const ANY_METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options'];
+
+// `/users/:id` becomes `/users/{id}`. OpenAPI cannot express a multi-segment
+// wildcard, so `*path` is documented as a single `{path}` parameter.
+function toOpenApiPath(pattern) {
+  const { segments } = parseRoutePattern(pattern);
+  if (!segments.length) return '/';
+  return segments.map((segment) => {
+    if (segment.type === 'static') return `/${segment.value}`;
+    return `/{${segment.name === '*' ? 'wildcard' : segment.name}}`;
+  }).join('');
+}
+
+function pathParameters(pattern, schema) {
+  return parseRoutePattern(pattern).segments
+    .filter(segment => segment.type !== 'static')
+    .map((segment) => {
+      const name = segment.name === '*' ? 'wildcard' : segment.name;
+      return {
+        name,
+        in: 'path',
+        required: true,
+        schema: schema?.properties?.[segment.name] || { type: 'string' }
+      };
+    });
+}
+
+function queryParameters(schema) {
+  const required = new Set(Array.isArray(schema?.required) ? schema.required : []);
+  return Object.entries(schema?.properties || {}).map(([name, property]) => ({
+    name,
+    in: 'query',
+    required: required.has(name),
+    schema: property
+  }));
+}
+
+function buildResponses(responses) {
+  const entries = Object.entries(responses || {});
+  if (!entries.length) return { default: { description: 'Response' } };
+  const out = {};
+  for (const [status, schema] of entries) {
+    out[status] = {
+      description: status === 'default' ? 'Response' : `Response ${status}`,
+      content: { 'application/json': { schema } }
+    };
+  }
+  return out;
+}
+
+function buildOperation(entry, operationId) {
+  const { route, project } = entry;
+  const operation = {
+    operationId,
+    tags: project?.name ? [project.name] : undefined,
+    summary: route.description,
+    parameters: [
+      ...pathParameters(entry.fullPath, route.schemas?.params),
+      ...queryParameters(route.schemas?.query)
+    ],
+    responses: buildResponses(route.responses)
+  };
+  if (route.schemas?.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: route.schemas.body } }
+    };
+  }
+  return JSON.parse(JSON.stringify(operation));
+}
+
+// `entries` are the route entries registered on the host router.
+export function buildOpenApiDocument(entries, { title, version, projects = [] } = {}) {
+  const paths = {};
+  const operationIds = new Set();
+  // Operation ids must be unique; a sequence served by several routes or methods
+  // gets the method appended.
+  const uniqueId = (base, method) => {
+    let id = operationIds.has(base) ? `${base}.${method}` : base;
+    for (let n = 2; operationIds.has(id); n += 1) id = `${base}.${method}.${n}`;
+    operationIds.add(id);
+    return id;
+  };
+  // Explicit methods first so ANY routes only fill in the methods left over.
+  const ordered = [...entries].sort((a, b) => (a.method === 'ANY') - (b.method === 'ANY'));
+  for (const entry of ordered) {
+    const pathKey = toOpenApiPath(entry.fullPath);
+    const item = paths[pathKey] || (paths[pathKey] = {});
+    const methods = entry.method === 'ANY' ? ANY_METHODS : [entry.method.toLowerCase()];
+    for (const method of methods) {
+      if (!item[method]) item[method] = buildOperation(entry, uniqueId(entry.route.sequenceId, method));
+    }
+  }
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: title || projects.map(project => project.name).filter(Boolean).join(', ') || 'LCOD HTTP host',
+      version: version || '0.0.0'
+    },
+    tags: projects.filter(project => project.name).map(project => ({ name: project.name })),
+    paths
+  };
+}
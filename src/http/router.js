@@ -0,0 +1,132 @@
+// Route patterns for env/http_host: static segments, `:name` parameters and a
+// trailing `*` (or `*name`) wildcard that captures the rest of the path, possibly
+// empty. Methods are upper-cased HTTP verbs or `ANY`.
+
+const STATIC_SEGMENT = /^[A-Za-z0-9._~!$&'()+,;=@%-]+$/u;
+const PARAM_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/u;
+const METHOD = /^[A-Z]+$/u;
+
+// Segment ranks used for specificity: a static segment beats a parameter, and the
+// end of a pattern beats a wildcard (`/files` before `/files/*` for "/files").
+const RANK = { static: 3, param: 2, wildcard: 0 };
+const END_RANK = 1;
+
+function invalidPattern(pattern, reason) {
+  return new Error(`Invalid route pattern "${pattern}": ${reason}`);
+}
+
+function parseSegment(pattern, raw, isLast, seen) {
+  if (raw.startsWith(':')) {
+    const name = raw.slice(1);
+    if (!PARAM_NAME.test(name)) throw invalidPattern(pattern, `bad parameter name "${raw}"`);
+    if (seen.has(name)) throw invalidPattern(pattern, `parameter "${name}" is declared twice`);
+    seen.add(name);
+    return { type: 'param', name };
+  }
+  if (raw.startsWith('*')) {
+    if (!isLast) throw invalidPattern(pattern, 'a wildcard must be the last segment');
+    const name = raw.length > 1 ? raw.slice(1) : '*';
+    if (name !== '*' && !PARAM_NAME.test(name)) throw invalidPattern(pattern, `bad wildcard name "${raw}"`);
+    if (seen.has(name)) throw invalidPattern(pattern, `parameter "${name}" is declared twice`);
+    seen.add(name);
+    return { type: 'wildcard', name };
+  }
+  if (!STATIC_SEGMENT.test(raw)) throw invalidPattern(pattern, `unexpected characters in "${raw}"`);
+  return { type: 'static', value: raw };
+}
+
+export function parseRoutePattern(pattern) {
+  if (typeof pattern !== 'string' || !pattern.startsWith('/')) {
+    throw invalidPattern(String(pattern), 'must start with "/"');
+  }
+  const parts = pattern.split('/').slice(1);
+  if (parts.length && parts[parts.length - 1] === '') parts.pop();
+  const seen = new Set();
+  const segments = parts.map((raw, index) => {
+    if (raw === '') throw invalidPattern(pattern, 'empty segment');
+    return parseSegment(pattern, raw, index === parts.length - 1, seen);
+  });
+  return { pattern, segments };
+}
+
+export function normalizeMethod(method) {
+  const value = String(method || 'GET').toUpperCase();
+  if (!METHOD.test(value)) throw new Error(`Invalid HTTP method "${method}"`);
+  return value;
+}
+
+// Routes with the same method and shape can never be told apart.
+function shapeOf(segments) {
+  return segments.map(segment => (segment.type === 'static' ? `/${segment.value}` : (segment.type === 'param' ? '/:' : '/*'))).join('');
+}
+
+// Negative when `a` must be tried before `b`.
+function compareSpecificity(a, b) {
+  const length = Math.max(a.segments.length, b.segments.length);
+  for (let i = 0; i < length; i += 1) {
+    const left = a.segments[i] ? RANK[a.segments[i].type] : END_RANK;
+    const right = b.segments[i] ? RANK[b.segments[i].type] : END_RANK;
+    if (left !== right) return right - left;
+  }
+  if ((a.method === 'ANY') !== (b.method === 'ANY')) return a.method === 'ANY' ? 1 : -1;
+  return 0;
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+function matchSegments(segments, parts) {
+  const params = {};
+  for (let i = 0; i < segments.length; i += 1) {
+    const segment = segments[i];
+    if (segment.type === 'wildcard') {
+      params[segment.name] = parts.slice(i).map(decodeSegment).join('/');
+      return params;
+    }
+    if (i >= parts.length) return null;
+    if (segment.type === 'static') {
+      if (segment.value !== parts[i]) return null;
+    } else {
+      params[segment.name] = decodeSegment(parts[i]);
+    }
+  }
+  return parts.length === segments.length ? params : null;
+}
+
+export class Router {
+  constructor() {
+    this.routes = [];
+  }
+
+  add(method, pattern, value) {
+    const route = { method: normalizeMethod(method), ...parseRoutePattern(pattern), value };
+    route.shape = shapeOf(route.segments);
+    const conflict = this.routes.find(other => other.method === route.method && other.shape === route.shape);
+    if (conflict) {
+      throw new Error(`Route conflict: ${route.method} ${pattern} overlaps ${conflict.method} ${conflict.pattern}`);
+    }
+    this.routes.push(route);
+    // Stable sort: equally specific routes keep their declaration order.
+    this.routes.sort(compareSpecificity);
+    return route;
+  }
+
+  // Returns { route, params }, { allowed } when only other methods match the path,
+  // or null.
+  match(method, pathname) {
+    const parts = pathname.split('/').slice(1).filter(Boolean);
+    const allowed = new Set();
+    for (const route of this.routes) {
+      const params = matchSegments(route.segments, parts);
+      if (!params) continue;
+      if (route.method === method || route.method === 'ANY') return { route, params };
+      allowed.add(route.method);
+    }
+    return allowed.size ? { allowed: [...allowed].sort() } : null;
+  }
+}
@@ -0,0 +1,103 @@
+import { getValidator } from '../validate.js';
+
+// Route schemas: `schemas: { params, query, body }` validate the request and
+// `responses: { <status>|default: schema }` describe response bodies.
+
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export function readRouteSchemas(input) {
+  const out = {};
+  if (isObject(input.schemas)) {
+    for (const part of REQUEST_PARTS) {
+      if (input.schemas[part] !== undefined) {
+        if (!isObject(input.schemas[part])) throw new Error(`Route schema for ${part} must be an object`);
+        out[part] = input.schemas[part];
+      }
+    }
+  }
+  const schemas = Object.keys(out).length ? out : null;
+  const responses = isObject(input.responses) ? { ...input.responses } : null;
+  return { schemas, responses };
+}
+
+// Compiles a route's schemas once at host startup so invalid schemas fail fast.
+export async function compileRouteSchemas(route) {
+  const compiled = { request: {}, responses: {} };
+  for (const part of REQUEST_PARTS) {
+    const schema = route.schemas?.[part];
+    // A streamed body is only read by the handler, so it cannot be validated up front.
+    if (part === 'body' && route.requestBody === 'stream') continue;
+    if (schema) compiled.request[part] = { schema, validate: await getValidator(schema) };
+  }
+  for (const [status, schema] of Object.entries(route.responses || {})) {
+    if (isObject(schema)) compiled.responses[status] = { schema, validate: await getValidator(schema) };
+  }
+  return compiled;
+}
+
+function schemaType(schema) {
+  const type = Array.isArray(schema?.type) ? schema.type.find(t => t !== 'null') : schema?.type;
+  return typeof type === 'string' ? type : null;
+}
+
+function coerceString(value, schema) {
+  switch (schemaType(schema)) {
+    case 'integer':
+    case 'number': {
+      const number = Number(value);
+      return value.trim() !== '' && Number.isFinite(number) ? number : value;
+    }
+    case 'boolean':
+      if (value === 'true') return true;
+      if (value === 'false') return false;
+      return value;
+    default:
+      return value;
+  }
+}
+
+// Path and query values arrive as strings; they are converted to the types their
+// schema declares before validation so handlers see numbers and booleans.
+function coerceValues(values, schema) {
+  const out = { ...values };
+  for (const [key, value] of Object.entries(out)) {
+    const property = schema.properties?.[key];
+    if (typeof value === 'string' && property) out[key] = coerceString(value, property);
+  }
+  return out;
+}
+
+function describeErrors(location, errors) {
+  return (errors || []).map(error => ({
+    location,
+    path: error.instancePath || '/',
+    message: error.message,
+    keyword: error.keyword
+  }));
+}
+
+// Returns { request } with coerced params/query, or { errors } for a 400 answer.
+export function validateRequest(compiled, request) {
+  const errors = [];
+  const next = { ...request };
+  for (const part of REQUEST_PARTS) {
+    const entry = compiled.request[part];
+    if (!entry) continue;
+    let value = request[part];
+    if (part !== 'body') value = coerceValues(value || {}, entry.schema);
+    next[part] = value;
+    if (!entry.validate(value)) errors.push(...describeErrors(part, entry.validate.errors));
+  }
+  return errors.length ? { errors } : { request: next };
+}
+
+// Returns the problems of a response body against the schema of its status.
+export function validateResponse(compiled, response) {
+  const entry = compiled.responses[String(response.status)] || compiled.responses.default;
+  if (!entry || Buffer.isBuffer(response.body)) return [];
+  return entry.validate(response.body) ? [] : describeErrors('response', entry.validate.errors);
+}
@@ -0,0 +1,100 @@
+import { once } from 'node:events';
+
+// Request and response bodies of env/http_host. Routes with `requestBody: stream`
+// get the request body as a StreamManager handle; a response `body` may be a
+// stream handle (piped to the client) or, for `sse` routes, the channel of
+// server-sent events.
+
+const CHUNK_SIZE = 64 * 1024;
+
+function isStreamHandle(ctx, value) {
+  return Boolean(value && typeof value === 'object' && typeof value.id === 'string' && ctx.streams.handles.has(value.id));
+}
+
+export async function readRequestBody(ctx, req, route) {
+  const contentType = req.headers['content-type'] || '';
+  if (route.requestBody === 'stream') {
+    const handle = ctx.streams.createFromReadable(req, { encoding: 'binary', mediaType: contentType || undefined });
+    return { body: handle, rawBody: undefined };
+  }
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const rawBody = Buffer.concat(chunks);
+  let parsedBody = rawBody.length ? rawBody : undefined;
+  if (parsedBody && /^application\/json/u.test(contentType)) {
+    try {
+      parsedBody = JSON.parse(rawBody.toString('utf8'));
+    } catch (_err) {
+      // keep raw body if parse fails
+    }
+  }
+  return { body: parsedBody, rawBody: rawBody.length ? rawBody : undefined };
+}
+
+// Writes and waits for the socket to drain when its buffer is full. Resolves to
+// false once the client has gone away.
+async function write(res, chunk) {
+  if (res.destroyed) return false;
+  if (!res.write(chunk)) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+  return !res.destroyed;
+}
+
+async function pipeStream(ctx, res, handle) {
+  try {
+    while (true) {
+      const next = await ctx.streams.read(handle, { maxBytes: CHUNK_SIZE, decode: 'buffer' });
+      if (next.done) break;
+      if (!(await write(res, next.chunk))) return;
+    }
+    res.end();
+  } finally {
+    if (ctx.streams.handles.has(handle.id)) await ctx.streams.close(handle);
+  }
+}
+
+// `{ event, id, retry, data }` objects map to the SSE fields; anything else is the
+// data. Non-string data is sent as JSON.
+export function formatSseEvent(value) {
+  const message = value && typeof value === 'object' && !Array.isArray(value) && 'data' in value
+    ? value
+    : { data: value };
+  const lines = [];
+  if (message.event != null) lines.push(`event: ${message.event}`);
+  if (message.id != null) lines.push(`id: ${message.id}`);
+  if (message.retry != null) lines.push(`retry: ${message.retry}`);
+  const data = typeof message.data === 'string' ? message.data : JSON.stringify(message.data ?? null);
+  for (const line of data.split(/\r?\n/u)) lines.push(`data: ${line}`);
+  return `${lines.join('\n')}\n\n`;
+}
+
+async function pipeEvents(ctx, res, channel, done) {
+  while (true) {
+    const next = await ctx.channels.receive(channel, { signal: ctx.signal });
+    if (next.done) break;
+    if (!(await write(res, formatSseEvent(next.value)))) return;
+  }
+  const error = await done;
+  if (error) await write(res, formatSseEvent({ event: 'error', data: { message: error.message } }));
+  res.end();
+}
+
+export async function writeResponse(ctx, res, { status, headers, body, events }) {
+  res.writeHead(status, headers);
+  if (events) {
+    // Let the client see the headers before the first event.
+    res.flushHeaders();
+    await pipeEvents(ctx, res, events.channel, events.done);
+  } else if (body == null) {
+    res.end();
+  } else if (isStreamHandle(ctx, body)) {
+    await pipeStream(ctx, res, body);
+  } else if (Buffer.isBuffer(body) || typeof body === 'string') {
+    res.end(body);
+  } else if (typeof body === 'object') {
+    res.end(JSON.stringify(body));
+  } else {
+    res.end(String(body));
+  }
+}
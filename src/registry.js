@@ -1,15 +1,22 @@
 // Simple function registry and context
 
 export class Registry {
-  constructor() {
+  constructor(options = {}) {
     this.funcs = new Map();
     this.bindings = {}; // contractId -> implId
+    this.contracts = new Map(); // contractId -> { inputSchema, outputSchema, metadata, summary }
+    // Binding conformance: 'warn' (default) logs mismatches, 'strict' throws, 'off' skips checks.
+    this.conformance = options.conformance || process.env.LCOD_CONTRACT_CONFORMANCE || 'warn';
+    this._versionIndex = null;
+    this._versionWarnings = new Set();
+    this._verifiedBindings = new WeakMap(); // impl entry -> Set of contract ids
   }
   register(name, fn, opts = {}) {
     const metadata = normalizeMetadata(opts.metadata);
     const outputs = normalizeOutputs(opts.outputs, metadata);
     const entry = {
       fn,
+      kind: typeof opts.kind === 'string' && opts.kind ? opts.kind : null,
       inputSchema: opts.inputSchema,
       outputSchema: opts.outputSchema,
       implements: opts.implements,
@@ -19,47 +26,390 @@ export class Registry {
     this.funcs.set(name, entry);
     return this;
   }
-  setBindings(map) { this.bindings = { ...(this.bindings || {}), ...(map || {}) }; }
-  get(name) { return this.funcs.get(name); }
+  setBindings(map) {
+    for (const [contractId, implId] of Object.entries(map || {})) {
+      this.verifyBinding(contractId, implId);
+    }
+    this.bindings = { ...(this.bindings || {}), ...(map || {}) };
+  }
+
+  registerContract(id, definition = {}) {
+    this.contracts.set(id, {
+      inputSchema: definition.inputSchema,
+      outputSchema: definition.outputSchema,
+      metadata: normalizeMetadata(definition.metadata),
+      summary: definition.summary
+    });
+    return this;
+  }
+  getContract(id) {
+    if (this.contracts.has(id)) return this.contracts.get(id);
+    const requested = parseComponentId(id);
+    if (!requested) return undefined;
+    const best = pickVersion(requested, [...this.contracts.keys()].map(parseComponentId).filter(Boolean));
+    return best ? this.contracts.get(best.id) : undefined;
+  }
+
+  // Checks that `implId` conforms to the registered contract (declared `implements`
+  // and schemas). Unknown contracts or not-yet-registered implementations are
+  // skipped here and verified again when Context.call first goes through the binding.
+  verifyBinding(contractId, implId) {
+    if (this.conformance === 'off') return [];
+    const contract = this.getContract(contractId);
+    const impl = this.get(implId);
+    if (!contract || !impl) return [];
+    let verified = this._verifiedBindings.get(impl);
+    if (verified?.has(contractId)) return [];
+    const problems = checkContractConformance(contractId, contract, impl, sameContract);
+    if (problems.length > 0 && this.conformance === 'strict') {
+      throw new ContractConformanceError(contractId, implId, problems);
+    }
+    if (!verified) {
+      verified = new Set();
+      this._verifiedBindings.set(impl, verified);
+    }
+    verified.add(contractId);
+    if (problems.length > 0) {
+      this._warn(`Implementation ${implId} does not conform to ${contractId}`, { contract: contractId, implementation: implId, problems });
+    }
+    return problems;
+  }
+  get(name) {
+    const exact = this.funcs.get(name);
+    if (exact) return exact;
+    const resolved = this.resolveId(name);
+    return resolved ? this.funcs.get(resolved) : undefined;
+  }
+
+  // Maps a requested id onto a registered one: exact match first, then by semver.
+  // `@1` / `@1.2` pick the highest registered 1.x.y / 1.2.y; a pinned `@1.2.3`
+  // that is not registered falls back to the highest compatible (^1.2.3) version.
+  resolveId(name) {
+    if (this.funcs.has(name)) return name;
+    const requested = parseComponentId(name);
+    if (!requested) return null;
+    const best = pickVersion(requested, this._versionsFor(requested.base));
+    if (!best) return null;
+    // A registered major-only id (`@1`) is a range itself; only concrete versions warn.
+    if (requested.precision === 3 && best.precision === 3) {
+      this._warnVersionFallback(name, best.id);
+    }
+    return best.id;
+  }
+
+  _versionsFor(base) {
+    const cached = this._versionIndex;
+    if (!cached || cached.funcs !== this.funcs || cached.size !== this.funcs.size) {
+      const index = new Map();
+      for (const id of this.funcs.keys()) {
+        const parsed = parseComponentId(id);
+        if (!parsed) continue;
+        if (!index.has(parsed.base)) index.set(parsed.base, []);
+        index.get(parsed.base).push(parsed);
+      }
+      this._versionIndex = { funcs: this.funcs, size: this.funcs.size, index };
+    }
+    return this._versionIndex.index.get(base) || [];
+  }
+
+  _warnVersionFallback(requested, resolved) {
+    const key = `${requested}->${resolved}`;
+    if (this._versionWarnings.has(key)) return;
+    this._versionWarnings.add(key);
+    this._warn('Pinned component version is not registered; using a compatible version', { requested, resolved });
+  }
+
+  _warn(message, data) {
+    // Registry lookups have no caller context; a fresh one on this registry lets a
+    // bound log contract receive the warning.
+    logKernelWarn(new Context(this, { skipRegistryReady: true }), message, {
+      data,
+      tags: { module: 'registry' }
+    }).catch(() => {});
+  }
+
+  // Introspection: registered entries sorted by id, optionally filtered by id prefix.
+  list(options = {}) {
+    const prefix = typeof options === 'string' ? options : options?.prefix;
+    const boundBy = new Map();
+    for (const [contractId, implId] of Object.entries(this.bindings || {})) {
+      if (!boundBy.has(implId)) boundBy.set(implId, []);
+      boundBy.get(implId).push(contractId);
+    }
+    const entries = [];
+    for (const [id, entry] of this.funcs) {
+      if (prefix && !id.startsWith(prefix)) continue;
+      entries.push(describeEntry(id, entry, boundBy.get(id) || []));
+    }
+    for (const [id, contract] of this.contracts) {
+      if (prefix && !id.startsWith(prefix)) continue;
+      entries.push(describeEntry(id, { ...contract, kind: 'contract', outputs: null }, []));
+    }
+    return entries.sort((a, b) => a.id.localeCompare(b.id));
+  }
+  query(prefix) { return this.list({ prefix }); }
+  listBindings(options = {}) {
+    const prefix = typeof options === 'string' ? options : options?.prefix;
+    return Object.entries(this.bindings || {})
+      .filter(([contractId]) => !prefix || contractId.startsWith(prefix))
+      .map(([contract, implementation]) => ({
+        contract,
+        implementation,
+        registered: Boolean(this.get(implementation))
+      }))
+      .sort((a, b) => a.contract.localeCompare(b.contract));
+  }
+  // Contracts that are declared (bindings, `implements`) but cannot be called.
+  listUnboundContracts(options = {}) {
+    const prefix = typeof options === 'string' ? options : options?.prefix;
+    const contracts = new Set([...Object.keys(this.bindings || {}), ...this.contracts.keys()]);
+    for (const entry of this.funcs.values()) {
+      for (const contractId of asList(entry.implements)) contracts.add(contractId);
+    }
+    const unbound = [];
+    for (const contract of [...contracts].sort()) {
+      if (prefix && !contract.startsWith(prefix)) continue;
+      if (this.get(contract)) continue;
+      const implementation = (this.bindings || {})[contract];
+      if (!implementation) {
+        unbound.push({ contract, reason: 'no-binding' });
+      } else if (!this.get(implementation)) {
+        unbound.push({ contract, implementation, reason: 'missing-implementation' });
+      }
+    }
+    return unbound;
+  }
+}
+
+const VERSIONED_ID = /^(.+)@(\d+)(?:\.(\d+))?(?:\.(\d+))?$/;
+
+export function parseComponentId(id) {
+  if (typeof id !== 'string') return null;
+  const match = id.match(VERSIONED_ID);
+  if (!match) return null;
+  const [, base, major, minor, patch] = match;
+  return {
+    id,
+    base,
+    major: Number(major),
+    minor: minor === undefined ? null : Number(minor),
+    patch: patch === undefined ? null : Number(patch),
+    precision: patch !== undefined ? 3 : (minor !== undefined ? 2 : 1)
+  };
+}
+
+function pickVersion(requested, candidates) {
+  let best = null;
+  for (const candidate of candidates) {
+    if (!versionSatisfies(requested, candidate)) continue;
+    if (!best || compareVersions(candidate, best) > 0) best = candidate;
+  }
+  return best;
+}
+
+// Two contract ids name the same contract when their base matches and their
+// versions are compatible (`@1` and `@1.0.0` are the same contract).
+function sameContract(a, b) {
+  if (a === b) return true;
+  const left = parseComponentId(a);
+  const right = parseComponentId(b);
+  return Boolean(left && right && left.base === right.base && left.major === right.major);
+}
+
+function compareVersions(a, b) {
+  return (a.major - b.major) ||
+    ((a.minor ?? 0) - (b.minor ?? 0)) ||
+    ((a.patch ?? 0) - (b.patch ?? 0)) ||
+    (a.precision - b.precision);
+}
+
+function versionSatisfies(requested, candidate) {
+  if (candidate.major !== requested.major) return false;
+  if (requested.precision === 1) return true;
+  // Missing parts on a registered id act as wildcards (`@1` serves any 1.x.y).
+  if (requested.precision === 2) {
+    return candidate.minor === null || candidate.minor === requested.minor;
+  }
+  if (candidate.minor === null) return true;
+  if (requested.major === 0 && candidate.minor !== requested.minor) return false;
+  if (candidate.minor !== requested.minor) return candidate.minor > requested.minor;
+  return candidate.patch === null || candidate.patch >= requested.patch;
+}
+
+function asList(value) {
+  if (typeof value === 'string' && value) return [value];
+  return Array.isArray(value) ? value.filter(item => typeof item === 'string' && item) : [];
+}
+
+function inferKind(id, entry, contracts) {
+  if (entry.kind) return entry.kind;
+  if (id.startsWith('lcod://flow/')) return 'flow';
+  if (id.startsWith('lcod://contract/') || contracts.length > 0 || asList(entry.implements).length > 0) {
+    return 'contract-implementation';
+  }
+  if (id.startsWith('lcod://axiom/')) return 'axiom';
+  return 'native';
+}
+
+function describeEntry(id, entry, contracts) {
+  return {
+    id,
+    kind: inferKind(id, entry, contracts),
+    implements: asList(entry.implements),
+    boundContracts: [...contracts].sort(),
+    metadata: entry.metadata ?? null,
+    outputs: entry.outputs ?? null,
+    inputSchema: entry.inputSchema ?? null,
+    outputSchema: entry.outputSchema ?? null
+  };
 }
 
 export function createCancellationToken() {
   const state = { cancelled: false };
+  const controller = new AbortController();
   return {
-    cancel() { state.cancelled = true; },
-    isCancelled() { return state.cancelled; }
+    cancel(reason) {
+      if (state.cancelled) return;
+      state.cancelled = true;
+      controller.abort(reason ?? new ExecutionCancelledError());
+    },
+    isCancelled() { return state.cancelled; },
+    // Aborted on cancel so axioms can stop in-flight work (fetch, child processes, fs).
+    signal: controller.signal
   };
 }
 
-export class ExecutionCancelledError extends Error {
+export class ExecutionCancelledError extends KernelError {
   constructor(message = 'Execution cancelled') {
-    super(message);
+    super(message, { code: 'cancelled' });
     this.name = 'ExecutionCancelledError';
   }
 }
 
+export class DeadlineExceededError extends KernelError {
+  constructor(timeoutMs, label) {
+    super(`Deadline exceeded after ${timeoutMs} ms${label ? ` (${label})` : ''}`, { code: 'timeout' });
+    this.name = 'DeadlineExceededError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+export class ContractConformanceError extends KernelError {
+  constructor(contractId, implId, problems) {
+    super(`Implementation ${implId} does not conform to ${contractId}: ${problems.join('; ')}`, { code: 'contract_mismatch' });
+    this.name = 'ContractConformanceError';
+    this.contract = contractId;
+    this.implementation = implId;
+    this.problems = problems;
+  }
+}
+
 import { getValidator } from './validate.js';
 import { StreamManager } from './core/streams.js';
+import { ChannelManager } from './flow/channel.js';
+import { logKernelWarn } from './tooling/logging.js';
+import { checkContractConformance } from './contracts.js';
+import { KernelError, serializeError } from './errors.js';
 
 export class Context {
   constructor(registry, options = {}) {
     this.registry = registry;
     this.streams = new StreamManager();
+    this.channels = new ChannelManager();
     this.runChildren = async (_childrenArray, _localState, _slotVars) => { throw new Error('runChildren not available in this context'); };
     this.runSlot = async (_slotName, _localState, _slotVars) => { throw new Error('runSlot not available in this context'); };
     this._defaultRunSlot = this.runSlot;
     this._rawInputStack = [];
     // Cleanup scopes for resources
     this._scopeStack = [];
+    // Saga scopes opened by flow/try: undo actions of completed steps (see compensate()).
+    this._compensationStack = [];
     this._registryScopeStack = [];
     this._skipRegistryReady = Boolean(options.skipRegistryReady);
     this._cancellation = options.cancellation || createCancellationToken();
+    // Optional step trace sink: a function or an object exposing write(entry).
+    this._trace = options.trace || null;
+    // Optional debug session (see src/compose/debugger.js) consulted before each step.
+    this._debug = options.debug || null;
+    // Optional checkpoint store (see src/compose/checkpoint.js) used by runCompose.
+    this._checkpoint = options.checkpoint
+      ? { store: options.checkpoint, resume: Boolean(options.resume), resumedFrom: null, resumedCancelled: false }
+      : null;
+    this._stepPath = [];
+    // Tokens without a signal (custom implementations) get one driven by ctx.cancel().
+    this._cancelController = this._cancellation.signal ? null : new AbortController();
+    // Innermost deadline frame ({ deadline, timeoutMs, label, controller, expired }).
+    this._deadlineFrame = null;
+    if (Number.isFinite(options.timeoutMs) && options.timeoutMs > 0) {
+      this._deadlineFrame = createDeadlineFrame(this, options.timeoutMs, 'context');
+    }
   }
   cancellationToken() { return this._cancellation; }
   cancel() {
     if (this._cancellation && typeof this._cancellation.cancel === 'function') {
       this._cancellation.cancel();
     }
+    if (this._cancelController && !this._cancelController.signal.aborted) {
+      this._cancelController.abort(new ExecutionCancelledError());
+    }
+  }
+  // Aborts when the execution is cancelled or the innermost deadline expires.
+  get signal() {
+    if (this._deadlineFrame) return this._deadlineFrame.controller.signal;
+    return this._cancellation.signal || this._cancelController.signal;
+  }
+  get deadline() { return this._deadlineFrame ? this._deadlineFrame.deadline : null; }
+  remainingMs() {
+    return this._deadlineFrame ? Math.max(0, this._deadlineFrame.deadline - Date.now()) : Infinity;
+  }
+  // Runs fn under a deadline of `timeoutMs` from now, or the enclosing one when tighter.
+  async withTimeout(timeoutMs, fn, label) {
+    if (!Number.isFinite(timeoutMs) || timeoutMs < 0) return fn();
+    const frame = createDeadlineFrame(this, timeoutMs, label);
+    const previous = this._deadlineFrame;
+    this._deadlineFrame = frame;
+    try {
+      return await raceDeadline(frame, fn());
+    } finally {
+      this._deadlineFrame = previous;
+      frame.release();
+    }
+  }
+  // Branch-local view of the context (timed steps and flow/parallel tasks run on
+  // one): it shares the registry, streams and cancellation of this context but owns
+  // its slot runners, cleanup scopes, step path and deadline, so branches do not
+  // clobber each other.
+  // branch.cancel() stops only the branch; call branch.detach() once it settles.
+  fork() {
+    const parent = this;
+    const branch = Object.create(this);
+    const controller = new AbortController();
+    const parentSignal = this.signal;
+    const onParentAbort = () => controller.abort(parentSignal.reason);
+    if (parentSignal.aborted) onParentAbort();
+    else parentSignal.addEventListener('abort', onParentAbort, { once: true });
+    branch._cancellation = {
+      cancel(reason) {
+        if (!controller.signal.aborted) controller.abort(reason ?? new ExecutionCancelledError());
+      },
+      isCancelled() { return controller.signal.aborted || parent.isCancelled(); },
+      signal: controller.signal
+    };
+    branch._cancelController = null;
+    branch._scopeStack = [];
+    // Enclosing saga scopes are shared; scopes the branch opens stay its own.
+    branch._compensationStack = [...this._compensationStack];
+    branch._rawInputStack = [];
+    branch._stepPath = [...(this._stepPath || [])];
+    branch._deadlineFrame = null;
+    if (this._deadlineFrame) {
+      branch._deadlineFrame = createDeadlineFrame(branch, Infinity, undefined, this._deadlineFrame);
+    }
+    branch.detach = () => {
+      parentSignal.removeEventListener('abort', onParentAbort);
+      branch._deadlineFrame?.release();
+    };
+    return branch;
   }
   isCancelled() {
     return Boolean(this._cancellation && typeof this._cancellation.isCancelled === 'function' && this._cancellation.isCancelled());
@@ -68,6 +418,10 @@ export class Context {
     if (this.isCancelled()) {
       throw new ExecutionCancelledError();
     }
+    const frame = this._deadlineFrame;
+    if (frame && Date.now() >= frame.deadline) {
+      throw frame.expire();
+    }
   }
   defer(fn) {
     if (!this._scopeStack.length) this._scopeStack.push([]);
@@ -80,6 +434,35 @@ export class Context {
       try { await list[i](); } catch (_e) { /* ignore cleanup errors */ }
     }
   }
+  // Registers `{ componentId, path, run(ctx) }` in the innermost saga scope; false when none is open.
+  compensate(entry) {
+    if (!this._compensationStack.length) return false;
+    this._compensationStack[this._compensationStack.length - 1].push(entry);
+    return true;
+  }
+  _pushCompensations() { this._compensationStack.push([]); }
+  // On failure the scope's compensations run newest first and a report is returned;
+  // otherwise they move to the enclosing scope so a later failure still undoes them.
+  async _popCompensations(failed) {
+    const list = this._compensationStack.pop() || [];
+    if (!list.length) return null;
+    if (!failed) {
+      const parent = this._compensationStack[this._compensationStack.length - 1];
+      if (parent) parent.push(...list);
+      return null;
+    }
+    const ran = [];
+    for (let i = list.length - 1; i >= 0; i--) {
+      const { componentId, path, run } = list[i];
+      try {
+        await run(this);
+        ran.push({ componentId, path, ok: true });
+      } catch (err) {
+        ran.push({ componentId, path, ok: false, error: serializeError(err) });
+      }
+    }
+    return { ran, failed: ran.some(entry => !entry.ok) };
+  }
   async call(name, input, meta) {
     this.ensureNotCancelled();
     const dataIn = input ?? {};
@@ -107,6 +490,7 @@ export class Context {
         if (!entry) {
           throw new Error(`Implementation not registered for ${name}: ${implId}`);
         }
+        this.registry.verifyBinding?.(name, implId);
       } else if (!implId) {
         throw new Error(`No binding for contract: ${name}`);
       }
@@ -146,7 +530,9 @@ export class Context {
     }
     let out;
     try {
-      out = await fn(this, preparedInput, meta);
+      out = this._deadlineFrame
+        ? await raceDeadline(this._deadlineFrame, fn(this, preparedInput, meta))
+        : await fn(this, preparedInput, meta);
     } finally {
       if (pushedRaw) {
         this._rawInputStack.pop();
@@ -167,6 +553,12 @@ export class Context {
   }
 
   enterRegistryScope(options = {}) {
+    // Verified before the scope is entered so a strict mismatch leaves no scope behind.
+    for (const [contractId, implementationId] of Object.entries(options?.bindings || {})) {
+      if (typeof implementationId === 'string') {
+        this.registry.verifyBinding?.(contractId, implementationId);
+      }
+    }
     const snapshot = {
       bindings: { ...(this.registry.bindings || {}) },
       funcs: this.registry.funcs
@@ -207,6 +599,57 @@ export class Context {
   }
 }
 
+function createDeadlineFrame(ctx, timeoutMs, label, parent = ctx._deadlineFrame) {
+  const candidate = Date.now() + timeoutMs;
+  const tighter = !parent || candidate < parent.deadline;
+  const parentSignal = ctx.signal;
+  const controller = new AbortController();
+  const onParentAbort = () => controller.abort(parentSignal.reason);
+  if (parentSignal.aborted) onParentAbort();
+  else parentSignal.addEventListener('abort', onParentAbort, { once: true });
+  const frame = {
+    deadline: tighter ? candidate : parent.deadline,
+    // Errors name the budget that actually ran out.
+    timeoutMs: tighter ? timeoutMs : parent.timeoutMs,
+    label: tighter ? label : parent.label,
+    controller,
+    // Set when this frame's own deadline aborted it (not an abort of its parent).
+    expired: false,
+    expire() {
+      const error = new DeadlineExceededError(frame.timeoutMs, frame.label);
+      if (!controller.signal.aborted) {
+        frame.expired = true;
+        controller.abort(error);
+      }
+      return error;
+    },
+    release() {
+      parentSignal.removeEventListener('abort', onParentAbort);
+    }
+  };
+  return frame;
+}
+
+async function raceDeadline(frame, work) {
+  const pending = Promise.resolve(work);
+  const remaining = frame.deadline - Date.now();
+  if (remaining <= 0) {
+    pending.catch(() => {});
+    throw frame.expire();
+  }
+  let timer;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(frame.expire()), remaining);
+  });
+  // The losing side may still reject (e.g. an aborted fetch); keep that quiet.
+  pending.catch(() => {});
+  try {
+    return await Promise.race([pending, expired]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
 function filterOutputs(state, outputs) {
   if (!outputs || outputs.length === 0) return state;
   if (!state || typeof state !== 'object' || Array.isArray(state)) return state;
@@ -126,7 +126,8 @@ export async function registerRegistryComponents(registry) {
         : specRoot;
       const bootstrapSteps = loadComposeFromPath(registerPath);
       return runSteps(ctx, bootstrapSteps, { specRoot: override });
-    }
+    },
+    { kind: 'compose' }
   );
   return registry;
 }
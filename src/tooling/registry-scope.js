@@ -117,9 +117,9 @@ async function registerInlineComponents(ctx, rawComponents) {
         return result ?? {};
       };
       if (metadata) {
-        ctx.registry.register(componentId, handler, { metadata });
+        ctx.registry.register(componentId, handler, { metadata, kind: 'compose' });
       } else {
-        ctx.registry.register(componentId, handler);
+        ctx.registry.register(componentId, handler, { kind: 'compose' });
       }
       continue;
     }
@@ -80,14 +80,14 @@ function buildRegisterOptions(metadata, outputs) {
   if (!normalizedOutputs && normalizedMetadata && normalizedMetadata.outputs.length > 0) {
     normalizedOutputs = [...normalizedMetadata.outputs];
   }
-  const options = {};
+  const options = { kind: 'compose' };
   if (normalizedMetadata) {
     options.metadata = normalizedMetadata;
   }
   if (normalizedOutputs && normalizedOutputs.length > 0) {
     options.outputs = normalizedOutputs;
   }
-  return Object.keys(options).length > 0 ? options : undefined;
+  return options;
 }
 
 function getHelperDefinitions() {
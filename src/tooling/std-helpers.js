@@ -52,12 +52,12 @@ function canonicalise(value, stack) {
   }
 }
 
-function stableStringify(value) {
+export function stableStringify(value) {
   const canonical = canonicalise(value, new WeakSet());
   return JSON.stringify(canonical);
 }
 
-function createHashKey(text, prefix) {
+export function createHashKey(text, prefix) {
   const digest = createHash('sha256').update(text, 'utf8').digest('base64');
   return prefix ? `${prefix}${digest}` : digest;
 }
@@ -390,7 +390,6 @@ export function registerStdHelpers(registry) {
   registry.register('lcod://contract/tooling/path/join_chain@1', pathJoinChain);
   registry.register('lcod://tooling/path/join_chain@0.1.0', pathJoinChain);
   registry.register('lcod://contract/tooling/jsonl/read@1', jsonlReadHelper);
-  registry.register('lcod://contract/tooling/jsonl/read@1.0.0', jsonlReadHelper);
   registry.register('lcod://tooling/jsonl/read@0.1.0', jsonlReadHelper);
 
   registry.register('lcod://contract/tooling/fs/read_optional@1', async (_ctx, input = {}) => {
@@ -126,7 +126,10 @@ export function registerTestChecker(registry) {
     const registrySnapshot = cloneBindings(ctx.registry);
     applyBindings(ctx.registry, input.bindings);
 
-    const childCtx = new Context(ctx.registry);
+    // The nested run stays within the caller's deadline.
+    const childCtx = new Context(ctx.registry, {
+      timeoutMs: ctx.deadline != null ? Math.max(1, ctx.remainingMs()) : undefined
+    });
     if (typeof initialState === 'object' && initialState !== null) {
       registerStreams(childCtx, initialState, input.streams);
     }
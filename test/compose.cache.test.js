@@ -0,0 +1,125 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { Registry, Context, ExecutionCancelledError } from '../src/registry.js';
+import { runCompose } from '../src/compose.js';
+import { registerFlowPrimitives } from '../src/flow/register.js';
+import { MemoryCacheStore, DiskCacheStore, registerCacheStore, getCacheStats } from '../src/cache.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function buildRegistry(calls) {
+  const reg = registerFlowPrimitives(new Registry());
+  reg.register('lcod://test/parse@1', async (_ctx, { text }) => {
+    calls.push(text);
+    return { parsed: { text, length: text.length } };
+  });
+  return reg;
+}
+
+test('step cache annotation memoizes outputs by input', async () => {
+  const calls = [];
+  const reg = buildRegistry(calls);
+  const compose = [
+    { call: 'lcod://test/parse@1', in: { text: '$.a' }, cache: true, out: { first: 'parsed' } },
+    { call: 'lcod://test/parse@1', in: { text: '$.a' }, cache: true, out: { second: 'parsed' } },
+    { call: 'lcod://test/parse@1', in: { text: '$.b' }, cache: true, out: { third: 'parsed' } }
+  ];
+
+  const state = await runCompose(new Context(reg), compose, { a: 'alpha', b: 'beta' });
+  assert.deepEqual(calls, ['alpha', 'beta']);
+  assert.deepEqual(state.second, { text: 'alpha', length: 5 });
+  assert.notEqual(state.first, state.second);
+  assert.deepEqual(getCacheStats(reg).memory, { hits: 1, misses: 2 });
+
+  await runCompose(new Context(reg), compose, { a: 'alpha', b: 'beta' });
+  assert.deepEqual(calls, ['alpha', 'beta']);
+});
+
+test('cached entries expire after their ttl', async () => {
+  const calls = [];
+  const reg = buildRegistry(calls);
+  const compose = [{ call: 'lcod://test/parse@1', in: { text: 'x' }, cache: { ttl: '20ms' } }];
+
+  await runCompose(new Context(reg), compose, {});
+  await runCompose(new Context(reg), compose, {});
+  assert.equal(calls.length, 1);
+  await delay(40);
+  await runCompose(new Context(reg), compose, {});
+  assert.equal(calls.length, 2);
+  await assert.rejects(runCompose(new Context(reg), [{ call: 'lcod://test/parse@1', cache: { ttl: 'soon' } }], {}), /Invalid cache ttl/);
+});
+
+test('flow cache keeps body state in a disk store across registries', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lcod-cache-'));
+  try {
+    const calls = [];
+    const compose = [
+      {
+        call: 'lcod://flow/cache@1',
+        in: { key: '$.descriptor', store: 'disk' },
+        slots: { body: [{ call: 'lcod://test/parse@1', in: { text: '$.descriptor.name' }, out: { parsed: 'parsed' } }] },
+        out: { parsed: 'parsed', cacheHit: 'cacheHit' }
+      }
+    ];
+    const run = () => {
+      const reg = registerCacheStore(buildRegistry(calls), 'disk', new DiskCacheStore({ dir }));
+      return runCompose(new Context(reg), compose, { descriptor: { name: 'demo', version: '1.0.0' } });
+    };
+
+    const first = await run();
+    const second = await run();
+    assert.equal(first.cacheHit, false);
+    assert.equal(second.cacheHit, true);
+    assert.deepEqual(second.parsed, { text: 'demo', length: 4 });
+    assert.deepEqual(calls, ['demo']);
+    assert.equal((await fs.readdir(dir)).length, 1);
+
+    await assert.rejects(
+      runCompose(new Context(buildRegistry(calls)), [{ ...compose[0], in: { store: 'disk' } }], {}),
+      /flow\/cache: `key` is required/
+    );
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a cancelled caller does not fail the callers sharing its computation', async () => {
+  const calls = [];
+  const reg = buildRegistry(calls);
+  const compose = [
+    {
+      call: 'lcod://flow/cache@1',
+      in: { key: '$.name' },
+      slots: {
+        body: [
+          { call: 'lcod://flow/sleep@1', in: { ms: 40 } },
+          { call: 'lcod://test/parse@1', in: { text: '$.name' }, out: { parsed: 'parsed' } }
+        ]
+      },
+      out: { parsed: 'parsed' }
+    }
+  ];
+  const first = new Context(reg);
+  const firstRun = runCompose(first, compose, { name: 'shared' });
+  await delay(5);
+  const secondRun = runCompose(new Context(reg), compose, { name: 'shared' });
+  setTimeout(() => first.cancel(), 10);
+
+  await assert.rejects(firstRun, ExecutionCancelledError);
+  assert.deepEqual((await secondRun).parsed, { text: 'shared', length: 6 });
+  assert.deepEqual(calls, ['shared']);
+});
+
+test('memory cache store evicts the least recently used entry', async () => {
+  const store = new MemoryCacheStore({ maxEntries: 2 });
+  await store.set('a', { value: 1, expiresAt: null });
+  await store.set('b', { value: 2, expiresAt: null });
+  await store.get('a');
+  await store.set('c', { value: 3, expiresAt: null });
+  assert.equal(await store.get('b'), null);
+  assert.deepEqual(await store.get('a'), { value: 1, expiresAt: null });
+});
@@ -0,0 +1,115 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { Registry, Context, ExecutionCancelledError } from '../src/registry.js';
+import { runCompose } from '../src/compose.js';
+import { normalizeCompose } from '../src/compose/normalizer.js';
+import {
+  composeCheckpointKey,
+  createFsCheckpointStore,
+  createMemoryCheckpointStore
+} from '../src/compose/checkpoint.js';
+
+function buildRegistry(calls, { failAt = new Set(), cancelAt = new Set() } = {}) {
+  const reg = new Registry();
+  reg.register('lcod://test/record@1', async (ctx, { name, total = 0 }) => {
+    calls.push(name);
+    if (cancelAt.has(name)) {
+      cancelAt.delete(name);
+      ctx.cancel();
+      throw new ExecutionCancelledError();
+    }
+    if (failAt.has(name)) {
+      failAt.delete(name);
+      throw new Error(`${name} failed`);
+    }
+    return { total: total + 1 };
+  });
+  return reg;
+}
+
+const COMPOSE = ['clone', 'download', 'lock'].map(name => ({
+  call: 'lcod://test/record@1',
+  in: { name, total: '$.total' },
+  out: { total: 'total' }
+}));
+
+test('runCompose resumes after the last successful top-level step', async () => {
+  const store = createMemoryCheckpointStore();
+  const calls = [];
+  const failAt = new Set(['lock']);
+  const reg = buildRegistry(calls, { failAt });
+
+  await assert.rejects(
+    runCompose(new Context(reg, { checkpoint: store }), COMPOSE, { total: 0 }),
+    /lock failed/
+  );
+  const key = composeCheckpointKey(await normalizeCompose(COMPOSE), { total: 0 });
+  const snapshot = await store.load(key);
+  assert.equal(snapshot.stepIndex, 1);
+  assert.deepEqual(snapshot.state, { total: 2 });
+  assert.deepEqual(snapshot.cancellation, { cancelled: false });
+
+  const ctx = new Context(reg, { checkpoint: store, resume: true });
+  const result = await runCompose(ctx, COMPOSE, { total: 0 });
+  assert.deepEqual(result, { total: 3 });
+  assert.equal(ctx._checkpoint.resumedFrom, 1);
+  assert.deepEqual(calls, ['clone', 'download', 'lock', 'lock']);
+  assert.equal(await store.load(key), null, 'successful runs clear their checkpoint');
+});
+
+test('runCompose starts over when resume is not requested', async () => {
+  const store = createMemoryCheckpointStore();
+  const calls = [];
+  const reg = buildRegistry(calls, { failAt: new Set(['download']) });
+  await assert.rejects(runCompose(new Context(reg, { checkpoint: store }), COMPOSE, {}));
+  await runCompose(new Context(reg, { checkpoint: store }), COMPOSE, {});
+  assert.deepEqual(calls, ['clone', 'download', 'clone', 'download', 'lock']);
+});
+
+test('runCompose records a cancelled run and flags its resume', async () => {
+  const store = createMemoryCheckpointStore();
+  const calls = [];
+  const reg = buildRegistry(calls, { cancelAt: new Set(['lock']) });
+  await assert.rejects(runCompose(new Context(reg, { checkpoint: store }), COMPOSE, { total: 0 }));
+  const key = composeCheckpointKey(await normalizeCompose(COMPOSE), { total: 0 });
+  const snapshot = await store.load(key);
+  assert.equal(snapshot.stepIndex, 1);
+  assert.deepEqual(snapshot.cancellation, { cancelled: true });
+
+  const ctx = new Context(reg, { checkpoint: store, resume: true });
+  assert.deepEqual(await runCompose(ctx, COMPOSE, { total: 0 }), { total: 3 });
+  assert.equal(ctx._checkpoint.resumedFrom, 1);
+  assert.equal(ctx._checkpoint.resumedCancelled, true);
+  assert.deepEqual(calls, ['clone', 'download', 'lock', 'lock']);
+});
+
+test('runCompose does not resume a checkpoint saved for another initial state', async () => {
+  const store = createMemoryCheckpointStore();
+  const calls = [];
+  const reg = buildRegistry(calls, { failAt: new Set(['lock']) });
+  await assert.rejects(runCompose(new Context(reg, { checkpoint: store }), COMPOSE, { total: 0 }));
+  const ctx = new Context(reg, { checkpoint: store, resume: true });
+  const result = await runCompose(ctx, COMPOSE, { total: 10 });
+  assert.deepEqual(result, { total: 13 });
+  assert.equal(ctx._checkpoint.resumedFrom, null);
+  assert.deepEqual(calls, ['clone', 'download', 'lock', 'clone', 'download', 'lock']);
+});
+
+test('filesystem checkpoint store persists snapshots per compose', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lcod-checkpoint-'));
+  try {
+    const store = createFsCheckpointStore(dir);
+    assert.equal(await store.load('abc'), null);
+    await store.save('abc', { version: 1, key: 'abc', stepIndex: 0, state: { a: 1 } });
+    assert.deepEqual((await store.load('abc')).state, { a: 1 });
+    assert.deepEqual(await fs.readdir(dir), ['abc.json']);
+    await store.clear('abc');
+    assert.equal(await store.load('abc'), null);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+
+import { Registry, Context, ExecutionCancelledError } from '../src/registry.js';
+import { registerDemoAxioms } from '../src/axioms.js';
+import { runCompose } from '../src/compose.js';
+import { flowForeach } from '../src/flow/foreach.js';
+import { DebugSession, createReplPauseHandler } from '../src/compose/debugger.js';
+
+const LOOP_COMPOSE = [
+  {
+    call: 'lcod://flow/foreach@1',
+    in: { list: '$.numbers' },
+    slots: {
+      body: [
+        { call: 'lcod://impl/echo@1', in: { value: '$slot.item' }, out: { val: 'val' } },
+        { call: 'lcod://impl/is_even@1', in: { value: '$.val' }, out: { even: 'ok' } }
+      ]
+    },
+    collectPath: '$.even',
+    out: { results: 'results' }
+  },
+  { call: 'lcod://impl/set@1', in: { done: true }, out: { done: 'done' } }
+];
+
+function buildContext(debug) {
+  const reg = registerDemoAxioms(new Registry());
+  reg.register('lcod://flow/foreach@1', flowForeach);
+  return new Context(reg, { debug });
+}
+
+function recordingSession(commands, options = {}) {
+  const pauses = [];
+  const session = new DebugSession({
+    ...options,
+    onPause: async (frame) => {
+      pauses.push({
+        path: frame.path.join('.'),
+        reason: frame.reason,
+        input: frame.input,
+        state: { ...frame.state },
+        slot: frame.slot
+      });
+      return commands.shift() ?? 'continue';
+    }
+  });
+  return { session, pauses };
+}
+
+test('debugger pauses on call and predicate breakpoints', async () => {
+  const { session, pauses } = recordingSession([], {
+    breakpoints: [
+      { call: 'lcod://impl/is_even@1', when: ({ slot }) => slot.index === 2 },
+      'lcod://impl/set@1'
+    ]
+  });
+  const ctx = buildContext(session);
+  const result = await runCompose(ctx, LOOP_COMPOSE, { numbers: [1, 2, 3] });
+  assert.deepEqual(result.results, [false, true, false]);
+  assert.deepEqual(pauses.map(p => [p.path, p.reason]), [['0.body.1', 'breakpoint'], ['1', 'breakpoint']]);
+  assert.deepEqual(pauses[0].input, { value: 3 });
+  assert.equal(pauses[0].state.val, 3);
+  assert.deepEqual(pauses[0].slot, { item: 3, index: 2 });
+});
+
+test('debugger steps into slots, over siblings and out of nested bodies', async () => {
+  const { session, pauses } = recordingSession(['step', 'next', 'out', 'continue'], { stopOnEntry: true });
+  const ctx = buildContext(session);
+  await runCompose(ctx, LOOP_COMPOSE, { numbers: [4, 5] });
+  assert.deepEqual(pauses.map(p => p.path), ['0', '0.body.0', '0.body.1', '1']);
+});
+
+test('debugger matches step path breakpoints and honours removal', async () => {
+  const { session, pauses } = recordingSession([]);
+  const id = session.addBreakpoint('0.body.0');
+  session.addBreakpoint([1]);
+  assert.equal(session.removeBreakpoint(id), true);
+  assert.deepEqual(session.listBreakpoints(), [{ id: 2, path: '1' }]);
+  const ctx = buildContext(session);
+  await runCompose(ctx, LOOP_COMPOSE, { numbers: [1] });
+  assert.deepEqual(pauses.map(p => p.path), ['1']);
+});
+
+test('repl prompt inspects state and cancels on quit', async () => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let printed = '';
+  output.on('data', chunk => { printed += chunk.toString(); });
+  const prompt = createReplPauseHandler({ input, output });
+  const session = new DebugSession({ onPause: prompt.onPause, breakpoints: ['0.body.1'] });
+  const ctx = buildContext(session);
+  input.write('p $.val\np $slot.index\nwhere\nquit\n');
+  try {
+    await assert.rejects(runCompose(ctx, LOOP_COMPOSE, { numbers: [7, 8] }), ExecutionCancelledError);
+  } finally {
+    prompt.close();
+  }
+  assert.match(printed, /\[breakpoint #1\] 0\.body\.1 lcod:\/\/impl\/is_even@1/);
+  assert.match(printed, /\(lcod-debug\) 7\n/);
+  assert.match(printed, /\(lcod-debug\) 0\n/);
+});
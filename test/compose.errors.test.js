@@ -0,0 +1,198 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+
+import { Registry, Context, ExecutionCancelledError } from '../src/registry.js';
+import { registerDemoAxioms } from '../src/axioms.js';
+import { registerFlowPrimitives } from '../src/flow/register.js';
+import { runCompose } from '../src/compose.js';
+import { KernelError, formatKernelError } from '../src/errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const execFileAsync = promisify(execFile);
+
+function buildContext() {
+  const reg = registerFlowPrimitives(registerDemoAxioms(new Registry()));
+  reg.register('lcod://test/fail_on@1', async (_ctx, { item, bad }) => {
+    if (item === bad) {
+      const err = new Error(`cannot handle ${item}`);
+      err.code = 'bad_item';
+      throw err;
+    }
+    return { ok: true };
+  });
+  return new Context(reg);
+}
+
+const NESTED = [
+  { call: 'lcod://impl/echo@1', in: { value: 1 } },
+  {
+    call: 'lcod://flow/foreach@1',
+    in: { list: '$.items' },
+    slots: {
+      body: [
+        {
+          call: 'lcod://flow/if@1',
+          in: { cond: true },
+          slots: { then: [{ call: 'lcod://test/fail_on@1', in: { item: '$slot.item', bad: 'c' } }] }
+        }
+      ]
+    }
+  }
+];
+
+test('failures keep the original error and carry a compose stack', async () => {
+  await assert.rejects(runCompose(buildContext(), NESTED, { items: ['a', 'b', 'c'] }), (err) => {
+    assert.ok(!(err instanceof KernelError));
+    assert.equal(err.code, 'bad_item');
+    assert.equal(err.message, 'cannot handle c');
+    assert.equal(err.cause, undefined);
+    assert.deepEqual(err.composeStack, [
+      { componentId: 'lcod://test/fail_on@1', stepIndex: 0, path: '1.body.0.then.0', slot: 'then', iteration: 2 },
+      { componentId: 'lcod://flow/if@1', stepIndex: 0, path: '1.body.0', slot: 'body', iteration: 2 },
+      { componentId: 'lcod://flow/foreach@1', stepIndex: 1, path: '1', slot: null, iteration: null }
+    ]);
+    assert.equal(formatKernelError(err), [
+      'Error [bad_item]: cannot handle c',
+      '    at lcod://test/fail_on@1 (step 1.body.0.then.0, slot then, iteration 2)',
+      '    at lcod://flow/if@1 (step 1.body.0, slot body, iteration 2)',
+      '    at lcod://flow/foreach@1 (step 1)'
+    ].join('\n'));
+    return true;
+  });
+});
+
+test('custom error classes keep their class and own fields', async () => {
+  class HttpStatusError extends Error {
+    constructor(status) {
+      super(`status ${status}`);
+      this.name = 'HttpStatusError';
+      this.status = status;
+      this.code = 404;
+    }
+  }
+  const ctx = buildContext();
+  ctx.registry.register('lcod://test/http_fail@1', async () => { throw new HttpStatusError(404); });
+  await assert.rejects(
+    runCompose(ctx, [{ call: 'lcod://flow/foreach@1', in: { list: [1] }, slots: { body: [{ call: 'lcod://test/http_fail@1' }] } }], {}),
+    (err) => {
+      assert.ok(err instanceof HttpStatusError);
+      assert.equal(err.name, 'HttpStatusError');
+      assert.equal(err.status, 404);
+      assert.equal(err.code, 404);
+      assert.deepEqual(err.composeStack.map(frame => frame.path), ['0.body.0', '0']);
+      return true;
+    }
+  );
+});
+
+test('flow/try and flow/parallel rethrow custom errors unchanged', async () => {
+  class QuotaError extends Error {
+    constructor() {
+      super('quota exceeded');
+      this.name = 'QuotaError';
+      this.errno = 122;
+    }
+  }
+  const ctx = buildContext();
+  let thrown = null;
+  ctx.registry.register('lcod://test/quota@1', async () => {
+    thrown = new QuotaError();
+    throw thrown;
+  });
+  const composes = [
+    [{
+      call: 'lcod://flow/try@1',
+      slots: { body: [{ call: 'lcod://test/quota@1' }], finally: [{ call: 'lcod://impl/echo@1', in: { value: 1 } }] }
+    }],
+    [{ call: 'lcod://flow/parallel@1', in: { tasks: [1] }, slots: { tasks: [{ call: 'lcod://test/quota@1' }] } }]
+  ];
+  for (const compose of composes) {
+    await assert.rejects(runCompose(ctx, compose, {}), (err) => {
+      assert.equal(err, thrown);
+      assert.ok(err instanceof QuotaError);
+      assert.equal(err.errno, 122);
+      return true;
+    });
+  }
+});
+
+test('thrown values that are not errors are wrapped in a KernelError', async () => {
+  const ctx = buildContext();
+  ctx.registry.register('lcod://test/throw_object@1', async () => { throw { code: 'odd', message: 'not an error' }; });
+  await assert.rejects(runCompose(ctx, [{ call: 'lcod://test/throw_object@1' }], {}), (err) => {
+    assert.ok(err instanceof KernelError);
+    assert.equal(err.code, 'odd');
+    assert.equal(err.message, 'not an error');
+    assert.deepEqual(err.composeStack.map(frame => frame.path), ['0']);
+    return true;
+  });
+});
+
+test('kernel error subclasses keep their class and gain frames', async () => {
+  const ctx = buildContext();
+  ctx.registry.register('lcod://test/cancel@1', async (inner) => {
+    inner.cancel();
+    inner.ensureNotCancelled();
+  });
+  await assert.rejects(
+    runCompose(ctx, [{ call: 'lcod://flow/try@1', children: [{ call: 'lcod://test/cancel@1' }] }], {}),
+    (err) => {
+      assert.ok(err instanceof ExecutionCancelledError);
+      assert.equal(err.code, 'cancelled');
+      assert.deepEqual(err.composeStack.map(frame => frame.path), ['0.children.0', '0']);
+      return true;
+    }
+  );
+});
+
+test('flow/try catch slots see the compose stack', async () => {
+  const compose = [
+    {
+      call: 'lcod://flow/try@1',
+      slots: {
+        body: NESTED,
+        catch: [{ call: 'lcod://impl/echo@1', in: { value: '$slot.error' }, out: { caught: 'val' } }]
+      },
+      out: { caught: 'caught' }
+    }
+  ];
+  const { caught } = await runCompose(buildContext(), compose, { items: ['c'] });
+  assert.equal(caught.code, 'bad_item');
+  assert.equal(caught.message, 'cannot handle c');
+  assert.deepEqual(caught.composeStack.map(frame => frame.path), ['0.children.1.body.0.then.0', '0.children.1.body.0', '0.children.1']);
+});
+
+test('run-compose prints the compose stack of a failure', async () => {
+  const repoRoot = path.resolve(__dirname, '..');
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lcod-errors-'));
+  try {
+    const composePath = path.join(tempDir, 'compose.json');
+    await fs.writeFile(composePath, JSON.stringify({
+      compose: [
+        {
+          call: 'lcod://flow/foreach@1',
+          in: { list: [1] },
+          slots: { body: [{ call: 'lcod://impl/fail@1', in: {} }] }
+        }
+      ]
+    }), 'utf8');
+    await assert.rejects(
+      execFileAsync('node', ['bin/run-compose.mjs', '--compose', composePath, '--demo'], { cwd: repoRoot }),
+      (err) => {
+        assert.equal(err.code, 1);
+        assert.match(err.stderr, /Error \[unexpected_error\]: boom/);
+        assert.match(err.stderr, /at lcod:\/\/impl\/fail@1 \(step 0\.body\.0, slot body, iteration 0\)/);
+        assert.match(err.stderr, /at lcod:\/\/flow\/foreach@1 \(step 0\)/);
+        return true;
+      }
+    );
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
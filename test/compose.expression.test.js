@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Registry, Context } from '../src/registry.js';
+import { registerDemoAxioms } from '../src/axioms.js';
+import { runCompose } from '../src/compose.js';
+import { flowIf } from '../src/flow/if.js';
+import { flowForeach } from '../src/flow/foreach.js';
+import { ExpressionError, evaluateExpression, isExpression, unescapeExpression } from '../src/compose/expression.js';
+
+function buildContext() {
+  const reg = registerDemoAxioms(new Registry());
+  reg.register('lcod://flow/if@1', flowIf);
+  reg.register('lcod://flow/foreach@1', flowForeach);
+  return new Context(reg);
+}
+
+const scope = {
+  state: { count: 3, items: [{ name: 'first' }], user: { name: 'Ada' }, empty: null },
+  slot: { item: 'x', index: 2 }
+};
+
+test('expressions read paths, indices and defaults', () => {
+  assert.equal(evaluateExpression("${ $.items[0].name ?? 'none' }", scope), 'first');
+  assert.equal(evaluateExpression("${ $.items[5].name ?? 'none' }", scope), 'none');
+  assert.equal(evaluateExpression('${ $.items.0.name }', scope), 'first');
+  assert.equal(evaluateExpression("${ $['user'].name }", scope), 'Ada');
+  assert.equal(evaluateExpression('${ $slot.index }', scope), 2);
+  assert.equal(evaluateExpression('${ $.items.length }', scope), 1);
+  assert.equal(evaluateExpression('${ $.empty ?? $.count }', scope), 3);
+});
+
+test('expressions support arithmetic, comparisons, logic and templates', () => {
+  assert.equal(evaluateExpression('${ $.count > 0 }', scope), true);
+  assert.equal(evaluateExpression('${ ($.count + 1) * 2 - 10 % 4 }', scope), 6);
+  assert.equal(evaluateExpression('${ -$.count }', scope), -3);
+  assert.equal(evaluateExpression("${ $.count >= 3 && $.user.name == 'Ada' }", scope), true);
+  assert.equal(evaluateExpression('${ !$.empty || false }', scope), true);
+  assert.equal(evaluateExpression("${ $.count === 3 ? 'three' : 'other' }", scope), 'three');
+  assert.equal(evaluateExpression('${ `Hello ${$.user.name} #${$slot.index + 1}` }', scope), 'Hello Ada #3');
+  assert.deepEqual(evaluateExpression('${ [$.count, $slot.item] == [3, "x"] }', scope), true);
+});
+
+test('expressions report syntax and type errors with positions', () => {
+  assert.throws(() => evaluateExpression('${ $.count > }', scope), (err) => {
+    assert.ok(err instanceof ExpressionError);
+    assert.equal(err.code, 'expression_error');
+    assert.match(err.message, /Unexpected end of expression at position \d+ in "\$\{ \$\.count > \}"/);
+    return true;
+  });
+  assert.throws(() => evaluateExpression('${ foo.bar }', scope), /Unknown identifier "foo"/);
+  assert.throws(() => evaluateExpression("${ $.count - 'a' }", scope), /expects numbers, got number and string/);
+  assert.throws(() => evaluateExpression('${ $.user.constructor }', scope), /not allowed/);
+});
+
+test('only strings fully wrapped in ${ } are expressions', () => {
+  assert.equal(isExpression('${ $.a }'), true);
+  assert.equal(isExpression('${a}-${b}'), false);
+  assert.equal(isExpression('async () => `${x}`'), false);
+  assert.equal(isExpression('$.a'), false);
+  assert.equal(isExpression('$${HOME}'), false);
+  assert.equal(unescapeExpression('$${env.PATH}'), '${env.PATH}');
+  assert.equal(unescapeExpression('$${a}-${b}'), null);
+});
+
+test('compose bindings evaluate expressions in step inputs', async () => {
+  const ctx = buildContext();
+  const compose = [
+    {
+      call: 'lcod://flow/if@1',
+      in: { cond: '${ $.count > 0 }' },
+      slots: {
+        then: [
+          { call: 'lcod://impl/set@1', in: { label: "${ `${$.count} items, first: ${$.items[0].name ?? 'none'}` }" }, out: { label: 'label' } }
+        ]
+      },
+      out: { label: 'label' }
+    },
+    { call: 'lcod://impl/echo@1', in: { value: '$.items[0].name' }, out: { first: 'val' } },
+    { call: 'lcod://impl/echo@1', in: { value: '${a}-${b}' }, out: { literal: 'val' } },
+    { call: 'lcod://impl/echo@1', in: { value: '$${HOME}' }, out: { home: 'val' } }
+  ];
+  const result = await runCompose(ctx, compose, { count: 2, items: [{ name: 'pen' }] });
+  assert.equal(result.label, '2 items, first: pen');
+  assert.equal(result.first, 'pen');
+  assert.equal(result.literal, '${a}-${b}');
+  assert.equal(result.home, '${HOME}');
+});
+
+test('expression errors carry the failing step path', async () => {
+  const ctx = buildContext();
+  const compose = [
+    {
+      call: 'lcod://flow/foreach@1',
+      in: { list: '$.numbers' },
+      slots: {
+        body: [
+          { call: 'lcod://impl/echo@1', in: { value: '${ $slot.item * 2 }' }, out: { val: 'val' } }
+        ]
+      },
+      collectPath: '$.val',
+      out: { results: 'results' }
+    }
+  ];
+  await assert.rejects(runCompose(ctx, compose, { numbers: [1, 'two'] }), (err) => {
+    assert.ok(err instanceof ExpressionError);
+    assert.deepEqual(err.stepPath, [0, 'body', 0]);
+    assert.match(err.message, /\(step 0\.body\.0 lcod:\/\/impl\/echo@1\)$/);
+    return true;
+  });
+});
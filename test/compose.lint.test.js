@@ -0,0 +1,120 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+
+import { Registry } from '../src/registry.js';
+import { registerFlowPrimitives } from '../src/flow/register.js';
+import { lintCompose } from '../src/compose/lint.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const execFileAsync = promisify(execFile);
+
+function buildRegistry() {
+  const reg = registerFlowPrimitives(new Registry());
+  reg.register('lcod://test/fetch@1', async () => ({ body: 'ok', status: 200 }), {
+    metadata: { inputs: ['url', 'method'], outputs: ['body', 'status'] }
+  });
+  reg.register('lcod://test/free@1', async (_ctx, input) => input);
+  reg.register('lcod://test/impl@1', async () => ({ value: 1 }), { metadata: { outputs: ['value'] } });
+  reg.setBindings({ 'lcod://contract/test/value@1': 'lcod://test/impl@1' });
+  return reg;
+}
+
+function summarize(report) {
+  return report.issues.map(issue => `${issue.code} ${issue.path}`);
+}
+
+test('lint accepts a consistent compose', async () => {
+  const report = await lintCompose(buildRegistry(), [
+    { call: 'lcod://test/fetch@1', in: { url: '$.url' }, out: { body: 'body' } },
+    { call: 'lcod://contract/test/value@1', in: {}, out: { value: 'value' } },
+    {
+      call: 'lcod://flow/if@1',
+      in: { cond: '${ $.value > 0 && $.body != null }' },
+      slots: { then: [{ call: 'lcod://test/free@1', in: { text: '$.body', index: '$slot.index' } }] }
+    }
+  ], { inputs: ['url'] });
+  assert.deepEqual(report, { ok: true, issues: [] });
+});
+
+test('lint reports unknown ids, inputs, outputs, slots and state reads', async () => {
+  const report = await lintCompose(buildRegistry(), [
+    { call: 'lcod://test/missing@1', in: {} },
+    { call: 'lcod://contract/test/unbound@1', in: {} },
+    { call: 'lcod://test/fetch@1', in: { url: '$.url', verb: 'GET' }, out: { payload: 'json' } },
+    {
+      call: 'lcod://flow/if@1',
+      in: { cond: '${ $.ready }' },
+      slots: {
+        then: [{ call: 'lcod://test/free@1', in: { value: '$.payload' }, out: { local: 'value' } }],
+        otherwise: []
+      }
+    },
+    { call: 'lcod://test/free@1', in: { value: '$.local', maybe: { __lcod_optional__: true, value: '$.nope' } } }
+  ]);
+  assert.equal(report.ok, false);
+  assert.deepEqual(summarize(report), [
+    'unregistered_component 0',
+    'unregistered_component 1',
+    'unknown_input 2',
+    'unknown_state 2',
+    'unknown_output 2',
+    'unknown_state 3',
+    'unknown_slot 3',
+    'unknown_state 4'
+  ]);
+  const slotIssue = report.issues.find(issue => issue.code === 'unknown_slot');
+  assert.equal(slotIssue.severity, 'error');
+  assert.match(slotIssue.message, /Slot "otherwise" is not declared by lcod:\/\/flow\/if@1 \(slots: then, else\)/);
+  assert.match(report.issues[1].message, /No binding for contract/);
+});
+
+test('lint knows components and bindings declared by registry scopes', async () => {
+  const report = await lintCompose(buildRegistry(), [
+    {
+      call: 'lcod://tooling/registry/scope@1',
+      in: {
+        components: [{ id: 'lcod://inline/greet@1', inputs: { name: {} }, compose: [] }],
+        bindings: { 'lcod://contract/test/greet@1': 'lcod://inline/greet@1' }
+      },
+      children: [
+        { call: 'lcod://contract/test/greet@1', in: { name: 'Ada', extra: 1 } }
+      ]
+    }
+  ]);
+  assert.deepEqual(summarize(report), ['unregistered_component 0', 'unknown_input 0.body.0']);
+  assert.match(report.issues[0].message, /tooling\/registry\/scope@1 is not registered/);
+});
+
+test('run-compose --check reports issues without running the compose', async () => {
+  const repoRoot = path.resolve(__dirname, '..');
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lcod-lint-'));
+  try {
+    const composePath = path.join(tempDir, 'compose.json');
+    await fs.writeFile(composePath, JSON.stringify({
+      compose: [
+        { call: 'lcod://impl/fail@1', in: {} },
+        { call: 'lcod://impl/echo@1', in: { value: '$.missing' }, out: { echoed: 'val' } },
+        { call: 'lcod://impl/unknown@1', in: {} }
+      ]
+    }), 'utf8');
+    await assert.rejects(
+      execFileAsync('node', ['bin/run-compose.mjs', '--compose', composePath, '--demo', '--check'], { cwd: repoRoot }),
+      (err) => {
+        assert.equal(err.code, 1);
+        assert.match(err.stdout, /warning 1 lcod:\/\/impl\/echo@1 \[unknown_state\]/);
+        assert.match(err.stdout, /error 2 lcod:\/\/impl\/unknown@1 \[unregistered_component\]/);
+        assert.match(err.stdout, /1 error\(s\), 1 warning\(s\)/);
+        assert.doesNotMatch(err.stderr, /boom/);
+        return true;
+      }
+    );
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Registry, Context } from '../src/registry.js';
+import { registerDemoAxioms } from '../src/axioms.js';
+import {
+  runCompose,
+  loadComposePlan,
+  getComposePlanStats,
+  clearComposePlanCache
+} from '../src/compose.js';
+import { getStepPlan } from '../src/compose/plan.js';
+import { runSteps } from '../src/compose/runtime.js';
+import { flowForeach } from '../src/flow/foreach.js';
+
+function buildContext() {
+  const reg = registerDemoAxioms(new Registry());
+  reg.register('lcod://flow/foreach@1', flowForeach);
+  return new Context(reg);
+}
+
+const COMPOSE = [
+  {
+    call: 'lcod://flow/foreach@1',
+    in: { list: '$.numbers' },
+    slots: {
+      body: [
+        { call: 'lcod://impl/echo@1', in: { value: '${ $slot.item * $.factor }' }, out: { val: 'val' } }
+      ]
+    },
+    collectPath: '$.val',
+    out: { results: 'results' }
+  }
+];
+
+test('runCompose reuses the compiled plan for identical compose content', async () => {
+  clearComposePlanCache();
+  const first = await runCompose(buildContext(), COMPOSE, { numbers: [1, 2], factor: 3 });
+  assert.deepEqual(first.results, [3, 6]);
+  assert.deepEqual(getComposePlanStats(), { entries: 1, compiled: 1, hits: 0, savedMs: 0 });
+
+  const copy = JSON.parse(JSON.stringify(COMPOSE));
+  const second = await runCompose(buildContext(), copy, { numbers: [4], factor: 2 });
+  assert.deepEqual(second.results, [8]);
+  const stats = getComposePlanStats();
+  assert.equal(stats.compiled, 1);
+  assert.equal(stats.hits, 1);
+  assert.ok(stats.savedMs > 0, 'a cache hit reports the compile time it skipped');
+
+  const changed = [{ ...COMPOSE[0], out: { items: 'results' } }];
+  await runCompose(buildContext(), changed, { numbers: [], factor: 1 });
+  assert.equal(getComposePlanStats().compiled, 2);
+});
+
+test('compiled plans are immutable and shared across runs', async () => {
+  clearComposePlanCache();
+  const ctx = buildContext();
+  const planA = await loadComposePlan(ctx, COMPOSE);
+  const planB = await loadComposePlan(ctx, COMPOSE);
+  assert.equal(planA, planB);
+  assert.ok(Object.isFrozen(planA));
+  assert.equal(planA.stepCount, 2, 'nested slot steps are compiled up front');
+
+  const stepPlan = getStepPlan(planA.steps[0]);
+  assert.equal(stepPlan, getStepPlan(planA.steps[0]));
+  assert.ok(Object.isFrozen(stepPlan));
+  assert.equal(stepPlan.call, 'lcod://flow/foreach@1');
+  assert.equal(stepPlan.slotMap.body, planA.steps[0].slots.body);
+  assert.equal(stepPlan.childrenMeta.children, planA.steps[0].slots.body);
+
+  // Plans are cached by step identity, so the cached steps cannot be edited.
+  assert.ok(Object.isFrozen(planA.steps[0].slots.body));
+  assert.throws(() => { planA.steps[0].slots.body.push({ call: 'lcod://impl/echo@1' }); }, TypeError);
+  assert.throws(() => { planA.steps[0].slots.body[0].call = 'lcod://impl/echo@1'; }, TypeError);
+  assert.ok(!Object.isFrozen(COMPOSE[0]), 'the caller compose stays editable');
+});
+
+test('mutable steps are recompiled so edits between runs apply', async () => {
+  const ctx = buildContext();
+  const steps = [{ call: 'lcod://impl/echo@1', in: { value: '$.a' }, out: { result: 'val' } }];
+  assert.notEqual(getStepPlan(steps[0]), getStepPlan(steps[0]));
+  assert.equal((await runSteps(ctx, steps, { a: 1, b: 2 })).result, 1);
+  steps[0].in.value = '$.b';
+  assert.equal((await runSteps(ctx, steps, { a: 1, b: 2 })).result, 2);
+  assert.ok(!Object.isFrozen(steps[0]));
+});
+
+test('compiled bindings build fresh inputs and apply outputs', () => {
+  const plan = getStepPlan({
+    call: 'lcod://impl/echo@1',
+    in: {
+      value: { nested: '$.user.name', tags: ['$slot.tag', 'literal'] },
+      maybe: { __lcod_optional__: true, value: '$.missing' },
+      __lcod_spreads__: [{ source: '$.defaults', pick: ['mode'] }]
+    },
+    out: {
+      val: 'val',
+      whole: '$',
+      __lcod_spreads__: [{ source: '$.val' }]
+    }
+  });
+  const state = { user: { name: 'Ada' }, defaults: { mode: 'fast', extra: true } };
+  const input = plan.buildInput(state, { tag: 'x' });
+  assert.deepEqual(input, { mode: 'fast', value: { nested: 'Ada', tags: ['x', 'literal'] } });
+  assert.notEqual(plan.buildInput(state, { tag: 'x' }).value, input.value);
+
+  const cur = plan.applyOutputs({}, { val: { spread: 1 } });
+  assert.deepEqual(cur, { spread: 1, val: { spread: 1 }, whole: { val: { spread: 1 } } });
+});
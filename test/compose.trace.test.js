@@ -0,0 +1,120 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+
+import { Registry, Context } from '../src/registry.js';
+import { registerDemoAxioms } from '../src/axioms.js';
+import { runCompose } from '../src/compose.js';
+import { flowForeach } from '../src/flow/foreach.js';
+import { diffStates, toTraceValue } from '../src/compose/trace.js';
+
+const execFileAsync = promisify(execFile);
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function buildContext(trace) {
+  const reg = registerDemoAxioms(new Registry());
+  reg.register('lcod://flow/foreach@1', flowForeach);
+  return new Context(reg, { trace });
+}
+
+test('trace records input, output and state diff for every step', async () => {
+  const entries = [];
+  const ctx = buildContext(entry => entries.push(entry));
+  const compose = [
+    { call: 'lcod://impl/set@1', in: { greeting: 'hello' }, out: { greeting: 'greeting' } },
+    {
+      call: 'lcod://flow/foreach@1',
+      in: { list: '$.numbers' },
+      slots: {
+        body: [
+          { call: 'lcod://impl/echo@1', in: { value: '$slot.item' }, out: { val: 'val' } }
+        ]
+      },
+      collectPath: '$.val',
+      out: { results: 'results' }
+    }
+  ];
+
+  await runCompose(ctx, compose, { numbers: [1, 2] });
+
+  const top = entries.filter(entry => entry.depth === 0);
+  assert.deepEqual(top.map(entry => entry.path), [[0], [1]]);
+  assert.deepEqual(top[0].input, { greeting: 'hello' });
+  assert.deepEqual(top[0].output, { greeting: 'hello' });
+  assert.deepEqual(top[0].diff, [{ op: 'add', path: '$.greeting', to: 'hello' }]);
+  assert.deepEqual(top[1].diff, [{ op: 'add', path: '$.results', to: [1, 2] }]);
+
+  const nested = entries.filter(entry => entry.depth === 1);
+  assert.equal(nested.length, 2);
+  assert.deepEqual(nested[1].path, [1, 'body', 0]);
+  assert.deepEqual(nested[1].slot, { item: 2, index: 1 });
+  assert.deepEqual(nested[1].input, { value: 2 });
+  assert.equal(nested[1].status, 'ok');
+});
+
+test('trace reports failing steps with their error', async () => {
+  const entries = [];
+  const ctx = buildContext(entry => entries.push(entry));
+  await assert.rejects(runCompose(ctx, [{ call: 'lcod://impl/fail@1' }], {}), /boom/);
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].status, 'error');
+  assert.equal(entries[0].error.message, 'boom');
+});
+
+test('diffStates reports nested additions, removals and replacements', () => {
+  const changes = diffStates(
+    { a: { b: 1, c: 2 }, list: [1], gone: true },
+    { a: { b: 1, c: 3 }, list: [1, 2], 'odd key': 1 }
+  );
+  assert.deepEqual(changes, [
+    { op: 'remove', path: '$.gone', from: true },
+    { op: 'replace', path: '$.a.c', from: 2, to: 3 },
+    { op: 'replace', path: '$.list', from: [1], to: [1, 2] },
+    { op: 'add', path: '$["odd key"]', to: 1 }
+  ]);
+});
+
+test('toTraceValue tolerates cycles and runtime objects', () => {
+  const value = { buf: Buffer.from('abc'), fn() {}, map: new Map() };
+  value.self = value;
+  assert.deepEqual(toTraceValue(value), {
+    buf: { $type: 'Buffer', length: 3 },
+    fn: '[Function fn]',
+    map: { $type: 'Map' },
+    self: '[Circular]'
+  });
+});
+
+test('run-compose --trace writes a JSONL trace file', async () => {
+  const repoRoot = path.resolve(__dirname, '..');
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lcod-trace-'));
+  try {
+    const composePath = path.join(tempDir, 'compose.json');
+    const tracePath = path.join(tempDir, 'trace.jsonl');
+    await fs.writeFile(composePath, JSON.stringify({
+      compose: [
+        { call: 'lcod://impl/echo@1', in: { value: '$.value' }, out: { echoed: 'val' } }
+      ]
+    }), 'utf8');
+    await execFileAsync('node', [
+      'bin/run-compose.mjs',
+      '--compose', composePath,
+      '--demo',
+      '--state', '{"value":42}',
+      '--trace', tracePath
+    ], { cwd: repoRoot });
+    const lines = (await fs.readFile(tracePath, 'utf8')).trim().split('\n');
+    assert.equal(lines.length, 1);
+    const entry = JSON.parse(lines[0]);
+    assert.equal(entry.call, 'lcod://impl/echo@1');
+    assert.deepEqual(entry.input, { value: 42 });
+    assert.deepEqual(entry.diff, [{ op: 'add', path: '$.echoed', to: 42 }]);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,139 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { once } from 'node:events';
+
+import { Registry, Context, DeadlineExceededError, ExecutionCancelledError } from '../src/registry.js';
+import { registerNodeCore } from '../src/core/index.js';
+import { runCompose } from '../src/compose.js';
+import { parseDuration } from '../src/duration.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function buildRegistry() {
+  const reg = new Registry();
+  reg.register('lcod://test/slow@1', async (_ctx, input) => {
+    await delay(input.ms ?? 200);
+    return { done: true };
+  });
+  reg.register('lcod://test/signal@1', async (ctx) => {
+    const signal = ctx.signal;
+    await new Promise((resolve) => signal.addEventListener('abort', resolve, { once: true }));
+    return { reason: signal.reason };
+  });
+  return reg;
+}
+
+test('parseDuration accepts plain milliseconds and unit suffixes', () => {
+  assert.equal(parseDuration(250), 250);
+  assert.equal(parseDuration('250'), 250);
+  assert.equal(parseDuration('500ms'), 500);
+  assert.equal(parseDuration('5s'), 5000);
+  assert.equal(parseDuration('1.5m'), 90000);
+  assert.equal(parseDuration('soon'), null);
+  assert.equal(parseDuration(-1), null);
+});
+
+test('step timeout rejects with a timeout error naming the step', async () => {
+  const ctx = new Context(buildRegistry());
+  await assert.rejects(
+    runCompose(ctx, [
+      { call: 'lcod://test/slow@1', in: { ms: 10 }, timeout: '1s', out: { first: 'done' } },
+      { call: 'lcod://test/slow@1', in: { ms: 500 }, timeout: '30ms' }
+    ], {}),
+    (err) => {
+      assert.ok(err instanceof DeadlineExceededError);
+      assert.equal(err.code, 'timeout');
+      assert.equal(err.timeoutMs, 30);
+      assert.match(err.message, /step 1 lcod:\/\/test\/slow@1/);
+      return true;
+    }
+  );
+  assert.equal(ctx.deadline, null);
+});
+
+test('invalid step timeouts are reported', async () => {
+  const ctx = new Context(buildRegistry());
+  await assert.rejects(
+    runCompose(ctx, [{ call: 'lcod://test/slow@1', in: { ms: 1 }, timeout: 'soon' }], {}),
+    /Invalid step timeout "soon"/
+  );
+});
+
+test('a timed-out step is stopped at its next call', async () => {
+  const reg = buildRegistry();
+  let runs = 0;
+  reg.register('lcod://test/count@1', async () => ({ runs: ++runs }));
+  reg.register('lcod://test/twice@1', async (ctx) => {
+    await ctx.call('lcod://test/count@1', {});
+    await delay(60);
+    await ctx.call('lcod://test/count@1', {});
+    return {};
+  });
+  const compose = [{ call: 'lcod://test/twice@1', timeout: 20 }];
+  await assert.rejects(runCompose(new Context(reg), compose, {}), DeadlineExceededError);
+  await delay(80);
+  assert.equal(runs, 1);
+});
+
+test('nested deadlines keep the tightest budget', async () => {
+  const ctx = new Context(buildRegistry());
+  await assert.rejects(
+    ctx.withTimeout(40, () => ctx.withTimeout(5000, async () => {
+      assert.ok(ctx.remainingMs() <= 40);
+      return ctx.call('lcod://test/slow@1', { ms: 500 });
+    }, 'inner'), 'outer'),
+    (err) => {
+      assert.equal(err.code, 'timeout');
+      assert.equal(err.timeoutMs, 40);
+      assert.match(err.message, /\(outer\)/);
+      return true;
+    }
+  );
+  assert.equal(ctx.remainingMs(), Infinity);
+});
+
+test('ctx.signal aborts on deadline and on cancellation', async () => {
+  const reg = buildRegistry();
+  const timed = new Context(reg);
+  const seen = [];
+  reg.register('lcod://test/observe@1', async (ctx) => {
+    const signal = ctx.signal;
+    signal.addEventListener('abort', () => seen.push(signal.reason), { once: true });
+    await delay(200);
+    return {};
+  });
+  await assert.rejects(timed.withTimeout(20, () => timed.call('lcod://test/observe@1', {})), DeadlineExceededError);
+  assert.equal(seen.length, 1);
+  assert.ok(seen[0] instanceof DeadlineExceededError);
+
+  const cancelled = new Context(reg);
+  const pending = cancelled.call('lcod://test/signal@1', {});
+  setTimeout(() => cancelled.cancel(), 10);
+  const { reason } = await pending;
+  assert.ok(reason instanceof ExecutionCancelledError);
+});
+
+test('http/request is aborted by the step deadline', async () => {
+  const server = http.createServer((_req, res) => {
+    setTimeout(() => res.end('late'), 1000);
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const { port } = server.address();
+  try {
+    const reg = registerNodeCore(new Registry());
+    const ctx = new Context(reg);
+    const started = Date.now();
+    await assert.rejects(
+      runCompose(ctx, [
+        { call: 'lcod://contract/core/http/request@1', in: { url: `http://127.0.0.1:${port}/` }, timeout: '50ms' }
+      ], {}),
+      (err) => err.code === 'timeout'
+    );
+    assert.ok(Date.now() - started < 900);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+});
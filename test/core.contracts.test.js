@@ -33,6 +33,18 @@ test('core/stream/read and close handle', async () => {
   assert.equal(closed.released, true);
 });
 
+test('streams read raw buffers with decode buffer', async () => {
+  const ctx = createContext();
+  const handle = ctx.streams.createFromBuffer(Buffer.from([0, 255, 1, 2]));
+  const first = await ctx.streams.read(handle, { maxBytes: 3, decode: 'buffer' });
+  assert.ok(Buffer.isBuffer(first.chunk));
+  assert.deepEqual([...first.chunk], [0, 255, 1]);
+  assert.equal(first.encoding, 'buffer');
+  const second = await ctx.streams.read(handle, { decode: 'buffer' });
+  assert.deepEqual([...second.chunk], [2]);
+  assert.equal((await ctx.streams.read(handle, { decode: 'buffer' })).done, true);
+});
+
 test('core/http/request returns stream handle', async () => {
   const server = http.createServer((req, res) => {
     res.writeHead(200, { 'content-type': 'text/plain' });
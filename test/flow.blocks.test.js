@@ -17,6 +17,16 @@ import { flowBreak } from '../src/flow/break.js';
 import { flowContinue } from '../src/flow/continue.js';
 import { flowCheckAbort } from '../src/flow/check_abort.js';
 import { flowWhile } from '../src/flow/while.js';
+import { flowRetry } from '../src/flow/retry.js';
+import { flowSwitch } from '../src/flow/switch.js';
+import { flowReduce } from '../src/flow/reduce.js';
+import { flowMap } from '../src/flow/map.js';
+import { flowSleep } from '../src/flow/sleep.js';
+import { flowTimeout } from '../src/flow/timeout.js';
+import { flowSchedule } from '../src/flow/schedule.js';
+import { nextCronTime } from '../src/cron.js';
+import { ChannelManager } from '../src/flow/channel.js';
+import { registerFlowPrimitives } from '../src/flow/register.js';
 import { registerStreamContracts } from '../src/core/streams.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -66,6 +76,13 @@ function buildDemoContext() {
   reg.register('lcod://flow/continue@1', flowContinue);
   reg.register('lcod://flow/check_abort@1', flowCheckAbort);
   reg.register('lcod://flow/while@1', flowWhile);
+  reg.register('lcod://flow/retry@1', flowRetry);
+  reg.register('lcod://flow/switch@1', flowSwitch);
+  reg.register('lcod://flow/reduce@1', flowReduce);
+  reg.register('lcod://flow/map@1', flowMap);
+  reg.register('lcod://flow/sleep@1', flowSleep);
+  reg.register('lcod://flow/timeout@1', flowTimeout);
+  reg.register('lcod://flow/schedule@1', flowSchedule);
   reg.register('lcod://test/inc@1', async (_ctx, { count = 0 }) => ({ count: count + 1 }));
   reg.register('lcod://test/lt@1', async (_ctx, { value = 0, limit = 0 }) => ({ ok: value < limit }));
   reg.register('lcod://test/cancel_when@1', async (ctx, { count = 0, cancelAt = 0 }) => {
@@ -209,6 +226,98 @@ test('foreach consumes async stream input', async () => {
   assert.deepEqual(results, [1, 2, 3]);
 });
 
+test('foreach pulls async iterables lazily and stops them on break', async () => {
+  const ctx = buildDemoContext();
+  const pulled = [];
+  let closed = false;
+  async function* produce() {
+    try {
+      for (let i = 1; i <= 1000; i += 1) {
+        pulled.push(i);
+        yield i;
+      }
+    } finally {
+      closed = true;
+    }
+  }
+  const compose = [
+    {
+      call: 'lcod://flow/foreach@1',
+      in: { stream: '$.numbers' },
+      slots: {
+        body: [
+          { call: 'lcod://flow/if@1', in: { cond: '${ $slot.item == 3 }' }, slots: { then: [{ call: 'lcod://flow/break@1' }] } },
+          { call: 'lcod://impl/echo@1', in: { value: '$slot.item' }, out: { val: 'val' } }
+        ]
+      },
+      collectPath: '$.val',
+      out: { results: 'results' }
+    }
+  ];
+
+  const { results } = await runCompose(ctx, compose, { numbers: produce() });
+  assert.deepEqual(results, [1, 2]);
+  assert.deepEqual(pulled, [1, 2, 3]);
+  assert.equal(closed, true);
+});
+
+test('foreach reads stream handles line by line and releases them', async () => {
+  const ctx = buildDemoContext();
+  const text = '{"name":"héllo"}\r\n{"name":"wörld"}\n\n{"name":"last"}';
+  const handle = ctx.streams.createFromBuffer(Buffer.from(text, 'utf8'));
+  const compose = [
+    {
+      call: 'lcod://flow/foreach@1',
+      in: { stream: '$.file', lines: true, decode: 'json', chunkSize: 5 },
+      slots: {
+        body: [{ call: 'lcod://impl/echo@1', in: { value: '$slot.item.name' }, out: { val: 'val' } }]
+      },
+      collectPath: '$.val',
+      out: { results: 'results' }
+    }
+  ];
+
+  const { results } = await runCompose(ctx, compose, { file: handle });
+  assert.deepEqual(results, ['héllo', 'wörld', 'last']);
+  assert.equal(ctx.streams.handles.has(handle.id), false);
+
+  const chunked = ctx.streams.createFromBuffer(Buffer.from('abcdefg', 'utf8'), { encoding: 'utf-8' });
+  const chunks = await runCompose(ctx, [
+    {
+      call: 'lcod://flow/foreach@1',
+      in: { stream: '$.file', chunkSize: 3 },
+      slots: { body: [{ call: 'lcod://impl/echo@1', in: { value: '$slot.item' }, out: { val: 'val' } }] },
+      collectPath: '$.val',
+      out: { results: 'results' }
+    }
+  ], { file: chunked });
+  assert.deepEqual(chunks.results, ['abc', 'def', 'g']);
+});
+
+test('foreach closes a stalled stream when cancelled', async () => {
+  const cancellation = createCancellationToken();
+  const ctx = new Context(buildDemoContext().registry, { cancellation });
+  let closed = false;
+  const handle = ctx.streams.createFromAsyncGenerator(async function* () {
+    yield Buffer.from('first\n');
+    await new Promise(() => {});
+  }, { encoding: 'utf-8' });
+  const entry = ctx.streams.handles.get(handle.id);
+  entry.close = async () => { closed = true; };
+  const compose = [
+    {
+      call: 'lcod://flow/foreach@1',
+      in: { stream: '$.file', lines: true },
+      slots: { body: [{ call: 'lcod://impl/echo@1', in: { value: '$slot.item' } }] }
+    }
+  ];
+
+  setTimeout(() => cancellation.cancel(), 20);
+  await assert.rejects(runCompose(ctx, compose, { file: handle }), ExecutionCancelledError);
+  assert.equal(closed, true);
+  assert.equal(ctx.streams.handles.has(handle.id), false);
+});
+
 test('flow throw raises normalized error', async () => {
   const ctx = buildDemoContext();
   await assert.rejects(
@@ -284,6 +393,137 @@ test('flow parallel collects tasks in input order', async () => {
   assert.deepEqual(results, ['first', 'second', 'third']);
 });
 
+function registerTracker(ctx) {
+  const stats = { active: 0, peak: 0, cleaned: [] };
+  ctx.registry.register('lcod://test/track@1', async (branch, { value, ms = 0, fail = false }) => {
+    stats.active += 1;
+    stats.peak = Math.max(stats.peak, stats.active);
+    branch.defer(() => { stats.cleaned.push(value); });
+    try {
+      await new Promise(resolve => setTimeout(resolve, ms));
+      if (fail) {
+        const err = new Error(`task ${value} failed`);
+        err.code = 'task_failed';
+        throw err;
+      }
+      return { value };
+    } finally {
+      stats.active -= 1;
+    }
+  });
+  return stats;
+}
+
+function parallelCompose(extraInput) {
+  return [
+    {
+      call: 'lcod://flow/parallel@1',
+      in: { tasks: '$.jobs', ...extraInput },
+      slots: {
+        tasks: [
+          { call: 'lcod://test/track@1', in: { value: '$slot.item.value', ms: '$slot.item.ms', fail: '$slot.item.fail' }, out: { value: 'value' } },
+          { call: 'lcod://impl/echo@1', in: { value: '$slot.index' }, out: { index: 'val' } }
+        ]
+      },
+      collectPath: '$.value',
+      out: { results: 'results', errors: 'errors' }
+    }
+  ];
+}
+
+test('flow parallel runs tasks concurrently up to the concurrency limit', async () => {
+  const ctx = buildDemoContext();
+  const stats = registerTracker(ctx);
+  const jobs = [
+    { value: 'a', ms: 40 },
+    { value: 'b', ms: 10 },
+    { value: 'c', ms: 20 },
+    { value: 'd', ms: 0 }
+  ];
+
+  const limited = await runCompose(ctx, parallelCompose({ concurrency: 2 }), { jobs });
+  assert.deepEqual(limited.results, ['a', 'b', 'c', 'd']);
+  assert.equal(stats.peak, 2);
+  assert.deepEqual([...stats.cleaned].sort(), ['a', 'b', 'c', 'd']);
+
+  stats.peak = 0;
+  const unbounded = await runCompose(ctx, parallelCompose({}), { jobs });
+  assert.deepEqual(unbounded.results, ['a', 'b', 'c', 'd']);
+  assert.equal(stats.peak, 4);
+  assert.equal(ctx._stepPath.length, 0);
+});
+
+test('flow parallel failFast cancels the remaining tasks', async () => {
+  const ctx = buildDemoContext();
+  const stats = registerTracker(ctx);
+  const jobs = [
+    { value: 'slow', ms: 30 },
+    { value: 'bad', ms: 5, fail: true },
+    { value: 'queued', ms: 0 }
+  ];
+
+  await assert.rejects(
+    runCompose(ctx, parallelCompose({ concurrency: 2 }), { jobs }),
+    (err) => err.code === 'task_failed' && err.message === 'task bad failed'
+  );
+  // The running sibling still cleans up; the queued task never starts.
+  assert.deepEqual([...stats.cleaned].sort(), ['bad', 'slow']);
+  assert.equal(ctx.isCancelled(), false);
+});
+
+test('flow parallel settleAll collects normalized errors', async () => {
+  const ctx = buildDemoContext();
+  registerTracker(ctx);
+  const jobs = [
+    { value: 'a', ms: 10 },
+    { value: 'b', ms: 0, fail: true },
+    { value: 'c', ms: 5 }
+  ];
+
+  const { results, errors } = await runCompose(ctx, parallelCompose({ mode: 'settleAll' }), { jobs });
+  assert.deepEqual(results, ['a', null, 'c']);
+  assert.deepEqual(errors.map(({ index, error }) => [index, error.code, error.message]), [[1, 'task_failed', 'task b failed']]);
+  assert.deepEqual(errors[0].error.composeStack, [
+    { componentId: 'lcod://test/track@1', stepIndex: 0, path: '0.tasks.0', slot: 'tasks', iteration: 1 }
+  ]);
+});
+
+test('flow parallel settleAll stops every task on break or cancellation', async () => {
+  const ctx = buildDemoContext();
+  const stats = registerTracker(ctx);
+  const finished = [];
+  ctx.registry.register('lcod://test/finish@1', async (_ctx, { value, stop }) => {
+    if (stop) return flowBreak();
+    finished.push(value);
+    return {};
+  });
+  const compose = [{
+    call: 'lcod://flow/parallel@1',
+    in: { tasks: '$.jobs', mode: 'settleAll' },
+    slots: {
+      tasks: [
+        { call: 'lcod://test/track@1', in: { value: '$slot.item.value', ms: '$slot.item.ms' } },
+        { call: 'lcod://test/finish@1', in: { value: '$slot.item.value', stop: '$slot.item.stop' } }
+      ]
+    },
+    out: { results: 'results', errors: 'errors' }
+  }];
+
+  const jobs = [{ value: 'slow', ms: 30 }, { value: 'stop', ms: 0, stop: true }];
+  await assert.rejects(runCompose(ctx, compose, { jobs }), (err) => err.$signal === 'break');
+  assert.deepEqual(finished, [], 'the sibling is cancelled before its next step');
+  assert.deepEqual([...stats.cleaned].sort(), ['slow', 'stop']);
+
+  const cancellation = createCancellationToken();
+  const cancelled = new Context(ctx.registry, { cancellation });
+  setTimeout(() => cancellation.cancel(), 10);
+  await assert.rejects(
+    runCompose(cancelled, compose, { jobs: [{ value: 'a', ms: 30 }, { value: 'b', ms: 30 }] }),
+    ExecutionCancelledError
+  );
+  assert.deepEqual(finished, []);
+});
+
 test('flow while iterates until condition fails', async () => {
   const ctx = buildDemoContext();
   const compose = [
@@ -388,3 +628,485 @@ test('flow while respects cancellation signalled within body', async () => {
 
   await assert.rejects(runCompose(ctx, compose, {}), ExecutionCancelledError);
 });
+
+function registerFlaky(ctx, failures, code = 'unavailable') {
+  const calls = { count: 0 };
+  ctx.registry.register('lcod://test/flaky@1', async () => {
+    calls.count += 1;
+    if (calls.count <= failures) {
+      const err = new Error(`attempt ${calls.count} failed`);
+      err.code = code;
+      throw err;
+    }
+    return { value: `ok after ${calls.count}` };
+  });
+  return calls;
+}
+
+test('flow retry re-runs the body until it succeeds', async () => {
+  const ctx = buildDemoContext();
+  const calls = registerFlaky(ctx, 2);
+  const compose = [
+    {
+      call: 'lcod://flow/retry@1',
+      in: { maxAttempts: 4, delay: '5ms', jitter: 0, retryOn: ['unavailable'] },
+      slots: {
+        body: [
+          { call: 'lcod://test/flaky@1', out: { value: 'value' } },
+          { call: 'lcod://impl/echo@1', in: { value: '$slot.attempt' }, out: { attempt: 'val' } }
+        ],
+        onRetry: [
+          { call: 'lcod://impl/echo@1', in: { value: { attempt: '$slot.attempt', code: '$slot.error.code', delayMs: '$slot.delayMs' } }, out: { seen: 'val' } },
+          { call: 'lcod://test/record@1', in: { entry: '$.seen' } }
+        ]
+      },
+      out: { value: 'value', attempt: 'attempt' }
+    }
+  ];
+  const seen = [];
+  ctx.registry.register('lcod://test/record@1', async (_ctx, { entry }) => { seen.push(entry); return {}; });
+
+  const result = await runCompose(ctx, compose, {});
+  assert.equal(result.value, 'ok after 3');
+  assert.equal(result.attempt, 3);
+  assert.equal(calls.count, 3);
+  // Exponential backoff: 5ms then 10ms.
+  assert.deepEqual(seen, [
+    { attempt: 1, code: 'unavailable', delayMs: 5 },
+    { attempt: 2, code: 'unavailable', delayMs: 10 }
+  ]);
+});
+
+test('flow retry reports the attempt history on the final error', async () => {
+  const ctx = buildDemoContext();
+  registerFlaky(ctx, 10);
+  const compose = (input) => [
+    {
+      call: 'lcod://flow/retry@1',
+      in: { delay: 1, backoff: 'fixed', jitter: 0, ...input },
+      slots: { body: [{ call: 'lcod://test/flaky@1' }] }
+    }
+  ];
+
+  await assert.rejects(runCompose(ctx, compose({ maxAttempts: 3 }), {}), (err) => {
+    assert.equal(err.code, 'unavailable');
+    assert.equal(err.message, 'attempt 3 failed');
+    assert.deepEqual(err.attempts.map(entry => [entry.attempt, entry.error.message, entry.delayMs]), [
+      [1, 'attempt 1 failed', 1],
+      [2, 'attempt 2 failed', 1],
+      [3, 'attempt 3 failed', undefined]
+    ]);
+    return true;
+  });
+
+  // Codes outside retryOn fail on the first attempt.
+  await assert.rejects(runCompose(ctx, compose({ retryOn: 'timeout' }), {}), (err) => {
+    assert.equal(err.attempts.length, 1);
+    return true;
+  });
+});
+
+test('flow retry backoff sleep is interrupted by cancellation', async () => {
+  const cancellation = createCancellationToken();
+  const ctx = new Context(buildDemoContext().registry, { cancellation });
+  registerFlaky(ctx, 10);
+  const compose = [
+    {
+      call: 'lcod://flow/retry@1',
+      in: { maxAttempts: 5, delay: '10s' },
+      slots: { body: [{ call: 'lcod://test/flaky@1' }] }
+    }
+  ];
+
+  const started = Date.now();
+  setTimeout(() => cancellation.cancel(), 20);
+  await assert.rejects(runCompose(ctx, compose, {}), ExecutionCancelledError);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('flow switch runs the first matching case', async () => {
+  const ctx = buildDemoContext();
+  const label = (text) => [{ call: 'lcod://impl/echo@1', in: { value: text }, out: { label: 'val' } }];
+  const compose = [
+    {
+      call: 'lcod://flow/switch@1',
+      in: {
+        value: '$.input',
+        cases: {
+          staff: ['editor', 'author'],
+          point: { schema: { type: 'object', required: ['x', 'y'] } },
+          origin: { equals: { x: 0, y: 0 } }
+        }
+      },
+      slots: {
+        admin: label('admin'),
+        staff: [{ call: 'lcod://impl/echo@1', in: { value: '${ `staff:${$slot.value}` }' }, out: { label: 'val' } }],
+        point: label('point'),
+        origin: label('origin'),
+        default: label('other')
+      },
+      out: { label: 'label', matched: 'case' }
+    }
+  ];
+
+  const run = (input) => runCompose(ctx, compose, { input });
+  assert.deepEqual(await run('admin'), { input: 'admin', label: 'admin', matched: 'admin' });
+  assert.deepEqual(await run('author'), { input: 'author', label: 'staff:author', matched: 'staff' });
+  // Cases are tried in order: the shape matches before the exact value.
+  assert.equal((await run({ x: 0, y: 0 })).matched, 'point');
+  assert.deepEqual(await run(42), { input: 42, label: 'other', matched: 'default' });
+});
+
+test('flow switch tolerates a missing default slot', async () => {
+  const ctx = buildDemoContext();
+  const compose = [
+    {
+      call: 'lcod://flow/switch@1',
+      in: { value: '$.input' },
+      slots: { on: [{ call: 'lcod://impl/echo@1', in: { value: 1 }, out: { flag: 'val' } }] },
+      out: { flag: 'flag', matched: 'case' }
+    }
+  ];
+
+  assert.deepEqual(await runCompose(ctx, compose, { input: 'on' }), { input: 'on', flag: 1, matched: 'on' });
+  assert.deepEqual(await runCompose(ctx, compose, { input: 'off' }), { input: 'off', flag: undefined, matched: null });
+});
+
+test('flow reduce folds items into an accumulator', async () => {
+  const ctx = buildDemoContext();
+  const compose = [
+    {
+      call: 'lcod://flow/reduce@1',
+      in: { list: '$.numbers', initial: 0 },
+      slots: {
+        body: [
+          { call: 'lcod://flow/if@1', in: { cond: '${ $slot.item < 0 }' }, slots: { then: [{ call: 'lcod://flow/continue@1' }] } },
+          { call: 'lcod://flow/if@1', in: { cond: '${ $slot.item > 100 }' }, slots: { then: [{ call: 'lcod://flow/break@1' }] } },
+          { call: 'lcod://impl/echo@1', in: { value: '${ $slot.acc + $slot.item * $slot.index }' }, out: { acc: 'val' } }
+        ]
+      },
+      out: { total: 'result', seen: 'iterations' }
+    }
+  ];
+
+  // 1*0 + 2*1 + (skip -5) + 3*3, then break on 500.
+  const { total, seen } = await runCompose(ctx, compose, { numbers: [1, 2, -5, 3, 500, 7] });
+  assert.equal(total, 11);
+  assert.equal(seen, 5);
+
+  // A body that leaves `acc` unset keeps the accumulator, even when the enclosing
+  // state has an `acc` of its own.
+  ctx.registry.register('lcod://test/add_odd@1', async (_ctx, { acc, item }) => (item % 2 ? { acc: acc + item } : {}));
+  const oddSum = [{
+    call: 'lcod://flow/reduce@1',
+    in: { list: '$.numbers', initial: 0 },
+    slots: { body: [{ call: 'lcod://test/add_odd@1', in: { acc: '$slot.acc', item: '$slot.item' }, out: { '...': '$' } }] },
+    out: { total: 'result' }
+  }];
+  const outer = await runCompose(ctx, oddSum, { acc: 1000, numbers: [1, 2, 3] });
+  assert.equal(outer.total, 4);
+  assert.equal(outer.acc, 1000);
+
+  // The body still reads the enclosing state.
+  const scaled = [{
+    call: 'lcod://flow/reduce@1',
+    in: { list: '$.numbers', initial: 0 },
+    slots: { body: [{ call: 'lcod://impl/echo@1', in: { value: '${ $.acc + $slot.item * $.factor }' }, out: { acc: 'val' } }] },
+    out: { total: 'result' }
+  }];
+  assert.equal((await runCompose(ctx, scaled, { acc: 1000, factor: 10, numbers: [1, 2, 3] })).total, 60);
+});
+
+test('flow map filters and maps items in order', async () => {
+  const ctx = buildDemoContext();
+  const compose = (extra) => [
+    {
+      call: 'lcod://flow/map@1',
+      in: { list: '$.jobs', ...extra },
+      slots: {
+        filter: [{ call: 'lcod://impl/echo@1', in: { value: '${ $slot.item.value != "skip" }' }, out: { keep: 'val' } }],
+        body: [
+          { call: 'lcod://flow/if@1', in: { cond: '${ $slot.item.value == "stop" }' }, slots: { then: [{ call: 'lcod://flow/break@1' }] } },
+          { call: 'lcod://test/track@1', in: { value: '$slot.item.value', ms: '$slot.item.ms' }, out: { value: 'value' } }
+        ]
+      },
+      collectPath: '$.value',
+      out: { results: 'results' }
+    }
+  ];
+  const jobs = [
+    { value: 'a', ms: 30 },
+    { value: 'skip', ms: 0 },
+    { value: 'b', ms: 0 },
+    { value: 'c', ms: 10 },
+    { value: 'stop', ms: 0 },
+    { value: 'late', ms: 0 }
+  ];
+
+  const stats = registerTracker(ctx);
+  const sequential = await runCompose(ctx, compose({}), { jobs });
+  assert.deepEqual(sequential.results, ['a', 'b', 'c']);
+  assert.equal(stats.peak, 1);
+
+  stats.peak = 0;
+  const concurrent = await runCompose(ctx, compose({ concurrency: 3 }), { jobs });
+  assert.deepEqual(concurrent.results, ['a', 'b', 'c']);
+  assert.equal(stats.peak, 3);
+});
+
+test('flow primitives register reduce and map', () => {
+  const reg = registerFlowPrimitives(new Registry());
+  assert.deepEqual(reg.get('lcod://flow/reduce@1').metadata.slots, ['body']);
+  assert.deepEqual(reg.get('lcod://flow/map@1').metadata.slots, ['body', 'filter']);
+});
+
+function registerJournal(ctx) {
+  const journal = [];
+  ctx.registry.register('lcod://test/journal@1', async (_ctx, { entry, fail = false }) => {
+    if (fail) throw new Error(`cannot ${entry}`);
+    journal.push(entry);
+    return { value: entry };
+  });
+  return journal;
+}
+
+function sagaStep(name, extra = {}) {
+  return {
+    call: 'lcod://test/journal@1',
+    in: { entry: name },
+    slots: {
+      compensate: [{ call: 'lcod://test/journal@1', in: { entry: '${ `undo ${$slot.result.value}` }', ...extra } }]
+    }
+  };
+}
+
+test('flow try runs compensations in reverse order when the body fails', async () => {
+  const ctx = buildDemoContext();
+  const journal = registerJournal(ctx);
+  const compose = [
+    {
+      call: 'lcod://flow/try@1',
+      slots: {
+        body: [
+          sagaStep('write file'),
+          sagaStep('clone repo', { fail: true }),
+          sagaStep('write lock'),
+          { call: 'lcod://impl/fail@1' }
+        ],
+        catch: [{ call: 'lcod://impl/echo@1', in: { value: '$slot.compensation' }, out: { report: 'val' } }]
+      },
+      out: { report: 'report' }
+    }
+  ];
+
+  const { report } = await runCompose(ctx, compose, {});
+  assert.deepEqual(journal, ['write file', 'clone repo', 'write lock', 'undo write lock', 'undo write file']);
+  assert.equal(report.failed, true);
+  assert.deepEqual(report.ran.map(entry => [entry.path, entry.ok]), [['0.children.2', true], ['0.children.1', false], ['0.children.0', true]]);
+  assert.equal(report.ran[1].error.message, 'cannot undo clone repo');
+});
+
+test('flow try keeps compensations of a completed inner saga for the outer one', async () => {
+  const ctx = buildDemoContext();
+  const journal = registerJournal(ctx);
+  const compose = [
+    {
+      call: 'lcod://flow/try@1',
+      slots: {
+        body: [
+          { call: 'lcod://flow/try@1', slots: { body: [sagaStep('inner')] } },
+          sagaStep('outer')
+        ]
+      }
+    }
+  ];
+  await runCompose(ctx, compose, {});
+  assert.deepEqual(journal, ['inner', 'outer']);
+
+  journal.length = 0;
+  compose[0].slots.body.push({ call: 'lcod://impl/fail@1' });
+  await assert.rejects(runCompose(ctx, compose, {}), (err) => {
+    assert.equal(err.message, 'boom');
+    assert.deepEqual(err.compensation.ran.map(entry => entry.path), ['0.children.1', '0.children.0.children.0']);
+    return true;
+  });
+  assert.deepEqual(journal, ['inner', 'outer', 'undo outer', 'undo inner']);
+});
+
+test('flow timeout runs onTimeout and stops the abandoned body', async () => {
+  const ctx = buildDemoContext();
+  const journal = registerJournal(ctx);
+  const body = [
+    { call: 'lcod://flow/sleep@1', in: { ms: 60 } },
+    { call: 'lcod://test/journal@1', in: { entry: 'late' } }
+  ];
+  const compose = [
+    {
+      call: 'lcod://flow/timeout@1',
+      in: { ms: 20 },
+      slots: {
+        body,
+        onTimeout: [{ call: 'lcod://impl/echo@1', in: { value: '$slot.timeoutMs' }, out: { timedOutAfter: 'val' } }]
+      },
+      out: { timedOutAfter: 'timedOutAfter' }
+    }
+  ];
+
+  const { timedOutAfter } = await runCompose(ctx, compose, {});
+  assert.equal(timedOutAfter, 20);
+  await new Promise(resolve => setTimeout(resolve, 80));
+  assert.deepEqual(journal, []);
+
+  delete compose[0].slots.onTimeout;
+  await assert.rejects(runCompose(ctx, compose, {}), (err) => {
+    assert.equal(err.code, 'timeout');
+    return true;
+  });
+
+  // A nested step timeout is not the flow's own: it propagates past onTimeout.
+  const nested = [{
+    call: 'lcod://flow/timeout@1',
+    in: { ms: '5s' },
+    slots: {
+      body: [{ call: 'lcod://flow/sleep@1', in: { ms: 200 }, timeout: 10 }],
+      onTimeout: [{ call: 'lcod://test/journal@1', in: { entry: 'onTimeout' } }]
+    }
+  }];
+  await assert.rejects(runCompose(ctx, nested, {}), (err) => {
+    assert.equal(err.code, 'timeout');
+    assert.equal(err.timeoutMs, 10);
+    return true;
+  });
+  assert.deepEqual(journal, []);
+
+  // The flow's own expiry still runs onTimeout when the body reports it wrapped.
+  ctx.registry.register('lcod://test/wrap_abort@1', (inner) => new Promise((_, reject) => {
+    inner.signal.addEventListener('abort', () => {
+      reject(new Error('gave up', { cause: inner.signal.reason }));
+    }, { once: true });
+  }));
+  const wrapped = [{
+    call: 'lcod://flow/timeout@1',
+    in: { ms: 10 },
+    slots: {
+      body: [{ call: 'lcod://test/wrap_abort@1' }],
+      onTimeout: [{ call: 'lcod://test/journal@1', in: { entry: 'onTimeout' } }]
+    }
+  }];
+  await runCompose(ctx, wrapped, {});
+  assert.deepEqual(journal, ['onTimeout']);
+});
+
+test('flow schedule repeats its body on an interval', async () => {
+  const ctx = buildDemoContext();
+  const journal = registerJournal(ctx);
+  const compose = [
+    {
+      call: 'lcod://flow/schedule@1',
+      in: { every: '10ms', maxRuns: 3 },
+      slots: { body: [{ call: 'lcod://test/journal@1', in: { entry: '$slot.run' } }] },
+      out: { runs: 'runs' }
+    }
+  ];
+
+  const started = Date.now();
+  const { runs } = await runCompose(ctx, compose, {});
+  assert.equal(runs, 3);
+  assert.deepEqual(journal, [1, 2, 3]);
+  assert.ok(Date.now() - started >= 20);
+});
+
+test('flow schedule runs in the background until stopped', async () => {
+  const ctx = buildDemoContext();
+  const journal = registerJournal(ctx);
+  const compose = [
+    {
+      call: 'lcod://flow/schedule@1',
+      in: { every: '5ms', background: true },
+      slots: { body: [{ call: 'lcod://test/journal@1', in: { entry: '$slot.run' } }] },
+      out: { stop: 'stop' }
+    }
+  ];
+
+  const { stop } = await runCompose(ctx, compose, {});
+  await new Promise(resolve => setTimeout(resolve, 40));
+  await stop();
+  const count = journal.length;
+  assert.ok(count >= 2);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(journal.length, count);
+});
+
+test('cron expressions find their next matching minute', () => {
+  const from = new Date(2026, 0, 1, 10, 7, 30);
+  assert.deepEqual(nextCronTime('*/15 * * * *', from), new Date(2026, 0, 1, 10, 15));
+  assert.deepEqual(nextCronTime('0 9 * * 1-5', from), new Date(2026, 0, 2, 9, 0));
+  assert.deepEqual(nextCronTime('30 8 1 3 *', from), new Date(2026, 2, 1, 8, 30));
+  assert.equal(nextCronTime('0 0 30 2 *', from), null);
+  assert.throws(() => nextCronTime('* * *', from), /5 fields/);
+});
+
+test('channels apply backpressure and drain after close', async () => {
+  const channels = new ChannelManager();
+  const channel = channels.create({ capacity: 1 });
+  await channels.send(channel, 'a');
+  let secondSent = false;
+  const second = channels.send(channel, 'b').then(() => { secondSent = true; });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(secondSent, false);
+
+  assert.deepEqual(await channels.receive(channel), { done: false, value: 'a' });
+  await second;
+  const blocked = channels.send(channel, 'c');
+  channels.close(channel);
+  await assert.rejects(blocked, (err) => err.code === 'channel_closed');
+  assert.deepEqual(await channels.receive(channel), { done: false, value: 'b' });
+  assert.deepEqual(await channels.receive(channel), { done: true });
+
+  const aborted = new AbortController();
+  const waiting = channels.receive(channels.create(), { signal: aborted.signal });
+  aborted.abort(new Error('stop'));
+  await assert.rejects(waiting, /stop/);
+});
+
+test('flow channels feed parallel consumers', async () => {
+  const ctx = buildDemoContext();
+  registerFlowPrimitives(ctx.registry);
+  const journal = registerJournal(ctx);
+  const compose = [
+    { call: 'lcod://flow/channel/create@1', in: { capacity: 1 }, out: { queue: 'channel' } },
+    {
+      call: 'lcod://flow/parallel@1',
+      in: { tasks: ['producer', 'consumer', 'consumer'] },
+      slots: {
+        tasks: [
+          {
+            call: 'lcod://flow/if@1',
+            in: { cond: '${ $slot.item === "producer" }' },
+            slots: {
+              then: [
+                {
+                  call: 'lcod://flow/foreach@1',
+                  in: { list: '$.urls' },
+                  slots: { body: [{ call: 'lcod://flow/channel/send@1', in: { channel: '$.queue', value: '$slot.item' } }] }
+                },
+                { call: 'lcod://flow/channel/close@1', in: { channel: '$.queue' } }
+              ],
+              else: [
+                {
+                  call: 'lcod://flow/foreach@1',
+                  in: { list: '$.queue' },
+                  slots: { body: [{ call: 'lcod://test/journal@1', in: { entry: '$slot.item' } }] }
+                }
+              ]
+            }
+          }
+        ]
+      }
+    }
+  ];
+
+  const urls = ['a', 'b', 'c', 'd', 'e'];
+  await runCompose(ctx, compose, { urls });
+  assert.deepEqual([...journal].sort(), urls);
+});
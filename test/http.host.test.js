@@ -1,11 +1,15 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import http from 'node:http';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
 import { Registry, Context } from '../src/registry.js';
 import { runCompose } from '../src/compose.js';
 import { registerNodeCore } from '../src/core/index.js';
 import { registerHttpContracts } from '../src/http/index.js';
 import { registerTooling } from '../src/tooling/index.js';
+import { LOG_CONTRACT_ID } from '../src/tooling/logging.js';
 import { flowIf } from '../src/flow/if.js';
 import { flowForeach } from '../src/flow/foreach.js';
 import { flowParallel } from '../src/flow/parallel.js';
@@ -13,6 +17,7 @@ import { flowTry } from '../src/flow/try.js';
 import { flowThrow } from '../src/flow/throw.js';
 import { flowBreak } from '../src/flow/break.js';
 import { flowContinue } from '../src/flow/continue.js';
+import { registerFlowPrimitives } from '../src/flow/register.js';
 
 function requestJson(url, options = {}) {
   return new Promise((resolve, reject) => {
@@ -122,3 +127,333 @@ test('env/http_host serves routes from project/http_app', async () => {
     await host.stop();
   }
 });
+
+const routedHostCompose = (projectInput = {}, hostInput = {}) => [
+  {
+    call: 'lcod://env/http_host@0.1.0',
+    in: { host: '127.0.0.1', port: 0, ...hostInput },
+    slots: {
+      projects: [
+        {
+          call: 'lcod://project/http_app@0.1.0',
+          in: { name: 'app', ...projectInput },
+          out: { project: '$' },
+          slots: {
+            sequences: [{ call: 'lcod://test/sequences@1', out: { sequences: 'sequences' } }],
+            apis: [{ call: 'lcod://test/routes@1', out: { routes: 'routes' } }]
+          }
+        }
+      ]
+    },
+    out: { host: '$' }
+  }
+];
+
+function buildRoutingRegistry(routes = [], sequences = []) {
+  const registry = new Registry();
+  registerHttpContracts(registry);
+  registry.register('lcod://test/sequences@1', async () => ({
+    sequences: [{ id: 'echo', handler: { type: 'component', call: 'lcod://test/echo_request@1' } }, ...sequences]
+  }));
+  registry.register('lcod://test/routes@1', async () => ({
+    routes: routes.map(route => ({ sequenceId: 'echo', ...route }))
+  }));
+  registry.register('lcod://test/echo_request@1', async (_ctx, { request }) => ({
+    status: request.query.status ?? 200,
+    body: { route: request.route.path, params: request.params, user: request.user }
+  }));
+  return registry;
+}
+
+async function startRoutedHost(routes, { sequences, project, host, register } = {}) {
+  const registry = buildRoutingRegistry(routes, sequences);
+  if (register) register(registry);
+  const result = await runCompose(new Context(registry), routedHostCompose(project, host), {});
+  return result.host;
+}
+
+test('env/http_host routes path parameters and wildcards by specificity', async () => {
+  const host = await startRoutedHost([
+    { method: 'GET', path: '/users/:id' },
+    { method: 'GET', path: '/users/me' },
+    { method: 'ANY', path: '/files/*path' },
+    { method: 'GET', path: '/files' },
+    { method: 'POST', path: '/users/:id/avatar' }
+  ]);
+  try {
+    const get = async (path, method) => {
+      const response = await requestJson(`${host.url}${path}`, { method });
+      return { status: response.status, headers: response.headers, body: JSON.parse(response.body) };
+    };
+    assert.deepEqual((await get('/users/42')).body, { route: '/users/:id', params: { id: '42' } });
+    assert.deepEqual((await get('/users/me')).body, { route: '/users/me', params: {} });
+    assert.deepEqual((await get('/users/a%20b')).body.params, { id: 'a b' });
+    assert.deepEqual((await get('/files/docs/readme.md', 'DELETE')).body, { route: '/files/*path', params: { path: 'docs/readme.md' } });
+    assert.deepEqual((await get('/files')).body, { route: '/files', params: {} });
+
+    const wrongMethod = await get('/users/42/avatar');
+    assert.equal(wrongMethod.status, 405);
+    assert.equal(wrongMethod.headers.allow, 'POST');
+    assert.equal((await get('/nowhere')).status, 404);
+  } finally {
+    await host.stop();
+  }
+});
+
+test('env/http_host rejects conflicting routes and api_route rejects bad patterns', async () => {
+  await assert.rejects(
+    startRoutedHost([{ path: '/users/:id' }, { path: '/users/:userId' }]),
+    /Route conflict: GET \/users\/:userId overlaps GET \/users\/:id/
+  );
+
+  const ctx = new Context(buildRoutingRegistry());
+  const { route } = await ctx.call('lcod://http/api_route@0.1.0', { method: 'any', path: '/files/*', sequenceId: 'echo' });
+  assert.equal(route.method, 'ANY');
+  await assert.rejects(ctx.call('lcod://http/api_route@0.1.0', { path: '/files/*/raw', sequenceId: 'echo' }), /wildcard must be the last segment/);
+  await assert.rejects(ctx.call('lcod://http/api_route@0.1.0', { path: '/users/:id/:id', sequenceId: 'echo' }), /declared twice/);
+});
+
+test('env/http_host runs project and route middlewares around the handler', async () => {
+  const calls = [];
+  const register = (registry) => {
+    registry.register('lcod://test/mw/request_id@1', async (_ctx, { request }) => {
+      calls.push('request_id');
+      return { request: { id: request.headers['x-request-id'] || 'generated' } };
+    });
+    registry.register('lcod://test/mw/request_id_header@1', async (_ctx, { request, response }) => {
+      calls.push('request_id:response');
+      return { response: { ...response, headers: { ...response.headers, 'x-request-id': request.id } } };
+    });
+    registry.register('lcod://test/mw/auth@1', async (_ctx, { request }) => {
+      calls.push('auth');
+      if (request.headers.authorization !== 'Bearer ok') {
+        return { response: { status: 401, body: { error: 'unauthorized' } } };
+      }
+      return { request: { user: 'ada' } };
+    });
+  };
+  const host = await startRoutedHost([
+    { path: '/public' },
+    { path: '/me', middlewares: ['auth'] }
+  ], {
+    register,
+    project: { middlewares: ['request-id'] },
+    sequences: [
+      {
+        id: 'request-id',
+        handler: { type: 'component', call: 'lcod://test/mw/request_id@1' },
+        onResponse: { type: 'component', call: 'lcod://test/mw/request_id_header@1' }
+      },
+      { id: 'auth', handler: { type: 'component', call: 'lcod://test/mw/auth@1' } }
+    ]
+  });
+  try {
+    const open = await requestJson(`${host.url}/public`, { headers: { 'x-request-id': 'r-1' } });
+    assert.equal(open.status, 200);
+    assert.equal(open.headers['x-request-id'], 'r-1');
+    assert.deepEqual(calls, ['request_id', 'request_id:response']);
+
+    calls.length = 0;
+    const denied = await requestJson(`${host.url}/me`);
+    assert.equal(denied.status, 401);
+    assert.equal(denied.headers['x-request-id'], 'generated');
+    assert.deepEqual(calls, ['request_id', 'auth', 'request_id:response']);
+
+    const allowed = await requestJson(`${host.url}/me`, { headers: { authorization: 'Bearer ok' } });
+    assert.equal(JSON.parse(allowed.body).user, 'ada');
+  } finally {
+    await host.stop();
+  }
+});
+
+test('env/http_host validates requests and responses against route schemas', async () => {
+  const logs = [];
+  const register = (registry) => {
+    registry.register('lcod://impl/testing/logger@1', async (_ctx, entry) => {
+      logs.push(entry);
+      return entry;
+    });
+    registry.setBindings({ [LOG_CONTRACT_ID]: 'lcod://impl/testing/logger@1' });
+  };
+  const host = await startRoutedHost([
+    {
+      method: 'POST',
+      path: '/users/:id',
+      description: 'Update a user',
+      schemas: {
+        params: { type: 'object', properties: { id: { type: 'integer' } } },
+        query: { type: 'object', properties: { status: { type: 'integer' } } },
+        body: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } }
+      },
+      responses: {
+        200: { type: 'object', required: ['params'] },
+        201: { type: 'object', required: ['missing'] }
+      }
+    }
+  ], { register, host: { dev: true, metadata: { title: 'Users', version: '1.2.0' } } });
+  const previousLevel = process.env.LCOD_LOG_LEVEL;
+  process.env.LCOD_LOG_LEVEL = 'warn';
+  try {
+    const post = (path, body) => requestJson(`${host.url}${path}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    const ok = await post('/users/7', { name: 'Ada' });
+    assert.equal(ok.status, 200);
+    assert.deepEqual(JSON.parse(ok.body).params, { id: 7 });
+
+    const bad = await post('/users/abc', {});
+    assert.equal(bad.status, 400);
+    assert.deepEqual(JSON.parse(bad.body).details.map(detail => [detail.location, detail.keyword]), [['params', 'type'], ['body', 'required']]);
+
+    const invalidResponse = await post('/users/7?status=201', { name: 'Ada' });
+    assert.equal(invalidResponse.status, 201, 'dev mode only logs the mismatch');
+    assert.deepEqual(JSON.parse(invalidResponse.body).params, { id: 7 });
+    const warning = logs.find(entry => entry.message === 'http response does not match its schema');
+    assert.equal(warning?.data.status, 201, 'the warning goes through the bound log contract');
+
+    const spec = JSON.parse((await requestJson(`${host.url}/_lcod/openapi.json`)).body);
+    assert.equal(spec.openapi, '3.1.0');
+    assert.deepEqual(spec.info, { title: 'Users', version: '1.2.0' });
+    const operation = spec.paths['/users/{id}'].post;
+    assert.equal(operation.operationId, 'echo');
+    assert.equal(operation.summary, 'Update a user');
+    assert.deepEqual(operation.parameters.map(param => [param.in, param.name, param.schema.type]), [['path', 'id', 'integer'], ['query', 'status', 'integer']]);
+    assert.deepEqual(operation.requestBody.content['application/json'].schema.required, ['name']);
+    assert.deepEqual(Object.keys(operation.responses), ['200', '201']);
+  } finally {
+    if (previousLevel === undefined) delete process.env.LCOD_LOG_LEVEL;
+    else process.env.LCOD_LOG_LEVEL = previousLevel;
+    await host.stop();
+  }
+});
+
+test('env/http_host answers a response schema mismatch with a 500 under strictResponses', async () => {
+  const host = await startRoutedHost([
+    { method: 'POST', path: '/users/:id', responses: { 201: { type: 'object', required: ['missing'] } } }
+  ], { host: { dev: false, strictResponses: true } });
+  try {
+    const invalidResponse = await requestJson(`${host.url}/users/7?status=201`, { method: 'POST' });
+    assert.equal(invalidResponse.status, 500);
+    assert.equal(JSON.parse(invalidResponse.body).error, 'Invalid response');
+  } finally {
+    await host.stop();
+  }
+});
+
+test('env/http_host streams request bodies, file downloads and server-sent events', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lcod-http-'));
+  const file = path.join(dir, 'report.txt');
+  await fs.writeFile(file, 'line\n'.repeat(50_000));
+  const register = (registry) => {
+    registerNodeCore(registry);
+    registerFlowPrimitives(registry);
+    registry.register('lcod://test/upload@1', async (ctx, { request }) => {
+      let bytes = 0;
+      while (true) {
+        const next = await ctx.call('lcod://contract/core/stream/read@1', { stream: request.body, decode: 'base64' });
+        if (next.done) break;
+        bytes += next.bytes;
+      }
+      return { status: 200, body: { bytes } };
+    });
+    registry.register('lcod://test/download@1', async (ctx) => {
+      const { stream } = await ctx.call('lcod://contract/core/fs/read-file@1', { path: file, stream: true });
+      return { status: 200, headers: { 'content-type': 'text/plain' }, body: stream };
+    });
+    registry.register('lcod://test/progress@1', async (ctx, { request }) => {
+      for (let step = 1; step <= 3; step += 1) {
+        await ctx.call('lcod://flow/channel/send@1', { channel: request.events, value: { event: 'progress', data: { step } } });
+      }
+      await ctx.call('lcod://flow/channel/send@1', { channel: request.events, value: 'done' });
+      return {};
+    });
+  };
+  const handler = (call) => ({ type: 'component', call });
+  const host = await startRoutedHost([
+    { method: 'POST', path: '/upload', sequenceId: 'upload', requestBody: 'stream' },
+    { path: '/report', sequenceId: 'download' },
+    { path: '/progress', sequenceId: 'progress', sse: true }
+  ], {
+    register,
+    sequences: [
+      { id: 'upload', handler: handler('lcod://test/upload@1') },
+      { id: 'download', handler: handler('lcod://test/download@1') },
+      { id: 'progress', handler: handler('lcod://test/progress@1') }
+    ]
+  });
+  try {
+    const upload = await requestJson(`${host.url}/upload`, { method: 'POST', body: Buffer.alloc(300_000, 1) });
+    assert.deepEqual(JSON.parse(upload.body), { bytes: 300_000 });
+
+    const download = await requestJson(`${host.url}/report`);
+    assert.equal(download.status, 200);
+    assert.equal(download.body.length, 250_000);
+
+    const events = await requestJson(`${host.url}/progress`);
+    assert.equal(events.headers['content-type'], 'text/event-stream');
+    assert.equal(events.body, [
+      'event: progress\ndata: {"step":1}\n\n',
+      'event: progress\ndata: {"step":2}\n\n',
+      'event: progress\ndata: {"step":3}\n\n',
+      'data: done\n\n'
+    ].join(''));
+  } finally {
+    await host.stop();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('env/http_host reloads its routes without dropping in-flight requests', async () => {
+  let release;
+  const released = new Promise((resolve) => { release = resolve; });
+  const routes = [
+    { path: '/slow', sequenceId: 'slow' },
+    { path: '/users/:id' }
+  ];
+  const host = await startRoutedHost(routes, {
+    register: (registry) => {
+      registry.register('lcod://test/slow@1', async () => {
+        await released;
+        return { status: 200, body: { slow: true } };
+      });
+    },
+    sequences: [{ id: 'slow', handler: { type: 'component', call: 'lcod://test/slow@1' } }]
+  });
+  // The route list is read again by lcod://test/routes@1 on every reload.
+  routes.splice(0, routes.length, { path: '/accounts/:id' });
+  try {
+    const pending = requestJson(`${host.url}/slow`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const reloaded = await host.reload();
+    assert.equal(reloaded.reloaded, true);
+    assert.deepEqual(host.routes.map(route => route.path), ['/accounts/:id']);
+    assert.equal((await requestJson(`${host.url}/users/1`)).status, 404);
+    assert.deepEqual(JSON.parse((await requestJson(`${host.url}/accounts/7`)).body).params, { id: '7' });
+
+    release();
+    const slow = await pending;
+    assert.equal(slow.status, 200);
+    assert.deepEqual(JSON.parse(slow.body), { slow: true });
+
+    routes.push({ path: '/accounts/:accountId' });
+    const failed = await host.reload();
+    assert.equal(failed.reloaded, false);
+    assert.match(failed.error.message, /Route conflict/);
+    assert.equal((await requestJson(`${host.url}/accounts/7`)).status, 200);
+
+    // A re-read compose provides new projects steps.
+    routes.pop();
+    const [{ slots }] = routedHostCompose({ basePath: '/v2' });
+    const fromSteps = await host.reload(slots.projects);
+    assert.equal(fromSteps.reloaded, true);
+    assert.equal((await requestJson(`${host.url}/accounts/7`)).status, 404);
+    assert.equal((await requestJson(`${host.url}/v2/accounts/7`)).status, 200);
+  } finally {
+    release();
+    await host.stop();
+  }
+});
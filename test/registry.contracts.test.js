@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Registry, Context, ContractConformanceError } from '../src/registry.js';
+import { registerNodeCore } from '../src/core/index.js';
+import { BUNDLED_CONTRACTS_DIR, loadContractsFromDir } from '../src/contracts.js';
+
+const CONTRACT_ID = 'lcod://contract/core/path/to_file_url@1';
+
+function withContract(options) {
+  const reg = new Registry(options);
+  reg.registerContract(CONTRACT_ID, {
+    inputSchema: {
+      type: 'object',
+      properties: { path: { type: 'string' } },
+      additionalProperties: false
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { url: { type: ['string', 'null'] } },
+      required: ['url'],
+      additionalProperties: false
+    }
+  });
+  return reg;
+}
+
+test('bundled contracts load with their schemas', () => {
+  const definitions = loadContractsFromDir(BUNDLED_CONTRACTS_DIR);
+  const toFileUrl = definitions.find(def => def.id === 'lcod://contract/core/path/to_file_url@1.0.0');
+  assert.ok(toFileUrl);
+  assert.deepEqual(toFileUrl.outputSchema.required, ['url']);
+
+  const reg = registerNodeCore(new Registry());
+  assert.equal(reg.getContract(CONTRACT_ID).inputSchema.properties.path.type, 'string');
+  const listed = reg.list({ prefix: 'lcod://contract/core/path/to_file_url' });
+  assert.deepEqual(listed.map(entry => [entry.id, entry.kind]), [
+    ['lcod://contract/core/path/to_file_url@1', 'contract-implementation'],
+    ['lcod://contract/core/path/to_file_url@1.0.0', 'contract']
+  ]);
+});
+
+test('conforming implementations bind without problems', () => {
+  const reg = withContract({ conformance: 'strict' });
+  reg.register('lcod://impl/to_file_url@1', async () => ({ url: null }), {
+    implements: 'lcod://contract/core/path/to_file_url@1.0.0',
+    inputSchema: { type: 'object', properties: { path: { type: ['string', 'null'] } } },
+    outputSchema: { type: 'object', properties: { url: { type: 'string' } }, required: ['url'] }
+  });
+  assert.deepEqual(reg.verifyBinding(CONTRACT_ID, 'lcod://impl/to_file_url@1'), []);
+  reg.setBindings({ [CONTRACT_ID]: 'lcod://impl/to_file_url@1' });
+  assert.equal(reg.bindings[CONTRACT_ID], 'lcod://impl/to_file_url@1');
+});
+
+test('mismatching implementations are reported in warn mode', () => {
+  const reg = withContract();
+  reg.register('lcod://impl/other@1', async () => ({}), {
+    implements: 'lcod://contract/core/path/dirname@1',
+    inputSchema: { type: 'object', properties: { base: { type: 'string' } }, required: ['base'], additionalProperties: false },
+    outputs: ['href']
+  });
+  const problems = reg.verifyBinding(CONTRACT_ID, 'lcod://impl/other@1');
+  assert.deepEqual(problems, [
+    'declares implements lcod://contract/core/path/dirname@1',
+    'requires input "base" that the contract does not guarantee',
+    'rejects contract input "path"',
+    'does not declare required output "url"'
+  ]);
+  reg.setBindings({ [CONTRACT_ID]: 'lcod://impl/other@1' });
+  assert.equal(reg.bindings[CONTRACT_ID], 'lcod://impl/other@1', 'warn mode still binds');
+});
+
+test('strict mode fails fast when binding or calling a mismatching implementation', async () => {
+  const reg = withContract({ conformance: 'strict' });
+  reg.register('lcod://impl/numbers@1', async () => ({ url: 1 }), {
+    outputSchema: { type: 'object', properties: { url: { type: 'number' } }, required: ['url'] }
+  });
+  assert.throws(() => reg.setBindings({ [CONTRACT_ID]: 'lcod://impl/numbers@1' }), (err) => {
+    assert.ok(err instanceof ContractConformanceError);
+    assert.equal(err.code, 'contract_mismatch');
+    assert.deepEqual(err.problems, ['output "url" has types the contract does not allow']);
+    return true;
+  });
+  assert.equal(reg.bindings[CONTRACT_ID], undefined);
+
+  // Bound before the implementation exists: checked on the first call instead.
+  const late = withContract({ conformance: 'strict' });
+  late.setBindings({ [CONTRACT_ID]: 'lcod://impl/late@1' });
+  late.register('lcod://impl/late@1', async () => ({}), { implements: 'lcod://contract/other@1' });
+  await assert.rejects(new Context(late).call(CONTRACT_ID, { path: '/tmp' }), ContractConformanceError);
+});
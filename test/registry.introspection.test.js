@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Registry } from '../src/registry.js';
+import { registerFlowPrimitives } from '../src/flow/register.js';
+
+function buildRegistry() {
+  const reg = registerFlowPrimitives(new Registry());
+  const noop = async () => ({});
+  reg.register('lcod://axiom/fs/read-file@1', noop, {
+    inputSchema: { type: 'object', required: ['path'] },
+    metadata: { inputs: ['path'], outputs: ['data'] }
+  });
+  reg.register('lcod://contract/core/hash/sha256@1', noop);
+  reg.register('lcod://tooling/greet@1', noop, { kind: 'compose', metadata: { inputs: ['name'] } });
+  reg.register('lcod://impl/shout@1', noop, { implements: 'lcod://contract/demo/shout@1' });
+  reg.setBindings({
+    'lcod://contract/core/fs/read-file@1': 'lcod://axiom/fs/read-file@1',
+    'lcod://contract/core/fs/write-file@1': 'lcod://axiom/fs/write-file@1'
+  });
+  return reg;
+}
+
+test('list reports ids with their kind, metadata and schemas', () => {
+  const entries = buildRegistry().list();
+  const byId = Object.fromEntries(entries.map(entry => [entry.id, entry]));
+  assert.deepEqual(entries.map(entry => entry.id), [...entries.map(entry => entry.id)].sort());
+  assert.equal(byId['lcod://flow/if@1'].kind, 'flow');
+  assert.deepEqual(byId['lcod://flow/if@1'].metadata.slots, ['then', 'else']);
+  assert.equal(byId['lcod://tooling/greet@1'].kind, 'compose');
+  assert.equal(byId['lcod://contract/core/hash/sha256@1'].kind, 'contract-implementation');
+  assert.equal(byId['lcod://impl/shout@1'].kind, 'contract-implementation');
+
+  const readFile = byId['lcod://axiom/fs/read-file@1'];
+  assert.equal(readFile.kind, 'contract-implementation');
+  assert.deepEqual(readFile.boundContracts, ['lcod://contract/core/fs/read-file@1']);
+  assert.deepEqual(readFile.outputs, ['data']);
+  assert.deepEqual(readFile.inputSchema, { type: 'object', required: ['path'] });
+});
+
+test('query filters by id prefix', () => {
+  const reg = buildRegistry();
+  assert.deepEqual(reg.query('lcod://contract/core/').map(entry => entry.id), ['lcod://contract/core/hash/sha256@1']);
+  assert.deepEqual(reg.list({ prefix: 'lcod://nothing/' }), []);
+});
+
+test('bindings and unbound contracts are listed', () => {
+  const reg = buildRegistry();
+  assert.deepEqual(reg.listBindings(), [
+    { contract: 'lcod://contract/core/fs/read-file@1', implementation: 'lcod://axiom/fs/read-file@1', registered: true },
+    { contract: 'lcod://contract/core/fs/write-file@1', implementation: 'lcod://axiom/fs/write-file@1', registered: false }
+  ]);
+  assert.deepEqual(reg.listUnboundContracts(), [
+    {
+      contract: 'lcod://contract/core/fs/write-file@1',
+      implementation: 'lcod://axiom/fs/write-file@1',
+      reason: 'missing-implementation'
+    },
+    { contract: 'lcod://contract/demo/shout@1', reason: 'no-binding' }
+  ]);
+  assert.deepEqual(reg.listUnboundContracts({ prefix: 'lcod://contract/demo/' }).length, 1);
+});
@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Registry, Context, parseComponentId } from '../src/registry.js';
+import { registerLogging, LOG_CONTRACT_ID } from '../src/tooling/logging.js';
+
+function versioned(...ids) {
+  const reg = new Registry();
+  for (const id of ids) {
+    reg.register(id, async () => ({ id }));
+  }
+  return reg;
+}
+
+test('parseComponentId splits the version suffix', () => {
+  assert.deepEqual(parseComponentId('lcod://core/object/get@1.2'), {
+    id: 'lcod://core/object/get@1.2',
+    base: 'lcod://core/object/get',
+    major: 1,
+    minor: 2,
+    patch: null,
+    precision: 2
+  });
+  assert.equal(parseComponentId('lcod://core/object/get'), null);
+  assert.equal(parseComponentId('lcod://core/object/get@latest'), null);
+});
+
+test('major and minor requests resolve to the highest matching version', async () => {
+  const reg = versioned(
+    'lcod://demo/tool@1.0.0',
+    'lcod://demo/tool@1.4.2',
+    'lcod://demo/tool@1.10.0',
+    'lcod://demo/tool@2.0.0'
+  );
+  assert.equal(reg.resolveId('lcod://demo/tool@1'), 'lcod://demo/tool@1.10.0');
+  assert.equal(reg.resolveId('lcod://demo/tool@1.4'), 'lcod://demo/tool@1.4.2');
+  assert.equal(reg.resolveId('lcod://demo/tool@2'), 'lcod://demo/tool@2.0.0');
+  assert.equal(reg.resolveId('lcod://demo/tool@3'), null);
+  assert.equal(reg.get('lcod://demo/tool@1.0.0'), reg.funcs.get('lcod://demo/tool@1.0.0'));
+
+  const out = await new Context(reg).call('lcod://demo/tool@1', {});
+  assert.deepEqual(out, { id: 'lcod://demo/tool@1.10.0' });
+});
+
+test('registered major-only ids serve pinned requests of that major', () => {
+  const reg = versioned('lcod://contract/demo/read@1', 'lcod://demo/zero@0.1.0');
+  assert.equal(reg.resolveId('lcod://contract/demo/read@1.0.0'), 'lcod://contract/demo/read@1');
+  assert.equal(reg.resolveId('lcod://contract/demo/read@1.3'), 'lcod://contract/demo/read@1');
+  assert.equal(reg.resolveId('lcod://demo/zero@0.2.0'), null, '0.x minors are not compatible');
+});
+
+test('pinned versions fall back to a compatible release with a warning', async () => {
+  const reg = versioned('lcod://demo/tool@1.2.0', 'lcod://demo/tool@1.5.1');
+  registerLogging(reg);
+  const logs = [];
+  reg.register('lcod://impl/testing/logger@1', async (_ctx, entry) => {
+    logs.push(entry);
+    return entry;
+  });
+  reg.setBindings({ [LOG_CONTRACT_ID]: 'lcod://impl/testing/logger@1' });
+  const previousLevel = process.env.LCOD_LOG_LEVEL;
+  process.env.LCOD_LOG_LEVEL = 'warn';
+  try {
+    assert.equal(reg.resolveId('lcod://demo/tool@1.3.0'), 'lcod://demo/tool@1.5.1');
+    assert.equal(reg.resolveId('lcod://demo/tool@1.6.0'), null, 'older releases are not compatible');
+    reg.get('lcod://demo/tool@1.3.0');
+    // The warning is emitted asynchronously through the log contract.
+    for (let i = 0; i < 50 && logs.length === 0; i += 1) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  } finally {
+    if (previousLevel === undefined) delete process.env.LCOD_LOG_LEVEL;
+    else process.env.LCOD_LOG_LEVEL = previousLevel;
+  }
+  assert.equal(logs.length, 1, 'each fallback warns once');
+  assert.equal(logs[0].level, 'warn');
+  assert.deepEqual(logs[0].data, { requested: 'lcod://demo/tool@1.3.0', resolved: 'lcod://demo/tool@1.5.1' });
+});
@@ -164,3 +164,29 @@ test('run-compose resolves lcod identifiers with inline state', async (t) => {
   });
   assert.ok(!Object.prototype.hasOwnProperty.call(result, 'text'));
 });
+
+test('run-compose --list prints registered components by prefix', async () => {
+  const repoRoot = path.resolve(__dirname, '..');
+  const { stdout: text } = await execFileAsync('node', ['bin/run-compose.mjs', '--list', 'lcod://flow/', '--demo'], { cwd: repoRoot });
+  assert.match(text, /^lcod:\/\/flow\/if@1 +flow +\(slots: then, else\)$/m);
+  assert.doesNotMatch(text, /lcod:\/\/impl\/echo@1/);
+
+  const { stdout: json } = await execFileAsync('node', ['bin/run-compose.mjs', '--list', '--demo', '--json'], { cwd: repoRoot });
+  const listing = JSON.parse(json);
+  const echo = listing.components.find(entry => entry.id === 'lcod://impl/echo@1');
+  assert.equal(echo.kind, 'native');
+  assert.ok(Array.isArray(listing.bindings));
+  assert.ok(Array.isArray(listing.unbound));
+});
+
+test('run-compose --watch rejects composes resolved from a component id', async () => {
+  const repoRoot = path.resolve(__dirname, '..');
+  await assert.rejects(
+    execFileAsync('node', ['bin/run-compose.mjs', '--compose', 'lcod://example/app@0.1.0', '--watch'], { cwd: repoRoot }),
+    (err) => {
+      assert.equal(err.code, 2);
+      assert.match(err.stderr, /--watch needs a local compose file/);
+      return true;
+    }
+  );
+});